@@ -12,4 +12,12 @@ export { default as TableFreezeController } from './table-freeze-controller.js';
 export * from './utils/dom-helpers.js';
 export * from './utils/measurements.js';
 export * from './utils/freeze-appliers.js';
+export * from './utils/span-helpers.js';
 export * from './utils/observers.js';
+export * from './utils/floating-scrollbar.js';
+export * from './utils/freeze-stylesheet.js';
+export * from './utils/responsive-freeze.js';
+export * from './utils/print-layout.js';
+export * from './utils/scroll-padding.js';
+export * from './utils/hash-navigation.js';
+export * from './utils/accessibility.js';
@@ -11,14 +11,111 @@
  * });
  * controller.init();
  * 
+ * // Tables built from script can be frozen without markup attributes
+ * controller.freeze(table, { cols: 2, rows: 1 });
+ * 
  * @typedef {Object} TableFreezeOptions
- * @property {string} [offsetSelector=""] - CSS selector for sticky offset element
+ * @property {string|Array<string|Element>|Function} [offsetSelector=""] - Selector list, array of selectors/elements,
+ *   or function returning pixels, for elements the frozen rows stick below (measured from the scroll root top)
+ * @property {Element|string|null} [scrollRoot=null] - Scrolling element or selector (defaults to the window)
+ * @property {number} [bottomOffset=0] - Distance in pixels kept between frozen footer rows and the viewport bottom
+ * @property {string} [scrollMode="auto"] - "page", "container" or "auto" (detect height-limited scrolling containers)
+ * @property {boolean} [floatingScrollbar=false] - Pin a proxy horizontal scrollbar to the viewport bottom while the table's own one is out of view
+ * @property {boolean} [debug=false] - Log measure/mutate timings of every apply pass to the console
+ * @property {string} [renderMode="inline"] - "inline" (cell styles) or "stylesheet" (one generated stylesheet per table)
+ * @property {Object<string, number>} [breakpoints] - Minimum container widths keyed by responsive attribute suffix
+ *   (defaults to sm 576, md 768, lg 992, xl 1200)
+ * @property {number|false} [maxFrozenWidth=0.5] - Largest fraction of the container width frozen columns may cover
+ *   (0, Infinity or false turns the guard off)
+ * @property {number|false} [maxFrozenHeight=0.5] - Largest fraction of the visible height frozen rows may cover
+ *   (0, Infinity or false turns the guard off)
+ * @property {boolean} [printMode=true] - Unfreeze tables while printing and repeat frozen top rows on every page
+ * @property {boolean} [hashNavigation=true] - Reveal and highlight table cells and rows targeted by the URL hash
+ * @property {boolean} [announceFreeze=false] - Announce freeze changes through a polite live region
+ *
+ * @typedef {Object} TableFreezeConfig
+ * @property {number} [cols] - Number of columns to freeze (0 removes the column freeze)
+ * @property {number} [colsEnd] - Number of trailing (right edge) columns to freeze
+ * @property {number} [rows] - Number of rows to freeze (0 removes the row freeze)
+ * @property {number} [rowsEnd] - Number of trailing (footer) rows to freeze
  */
 
-import { getStickyOffset, getFreezeCount, clearFreezeStyles, isValidTable } from './utils/dom-helpers.js';
+import {
+  getStickyOffset,
+  getOffsetElements,
+  getFreezeCount,
+  setFreezeCount,
+  clearFreezeStyles,
+  isValidTable,
+  queryFreezeTables,
+  getLogicalRows,
+  getTableContainer,
+  getScrollMode,
+  resolveScrollRoot,
+  getScrollRootBounds,
+  setScrollState,
+  clearScrollState,
+  setFreezeScrollOffset,
+  setFreezeInlineStyle,
+  setFreezeDirection,
+  RTL_CLASS,
+  SCROLL_TOP_PROPERTY,
+  SCROLL_BOTTOM_PROPERTY
+} from './utils/dom-helpers.js';
 import { measureBodyRowHeights } from './utils/measurements.js';
-import { applyColumnFreeze, applyRowFreeze, applyCornerPriority } from './utils/freeze-appliers.js';
-import { createResizeObserver, createIntersectionObserver, createMutationObserver, syncObservers } from './utils/observers.js';
+import {
+  applyColumnFreeze,
+  applyColumnFreezeEnd,
+  applyColumnFreezeToRows,
+  applyRowFreeze,
+  applyRowFreezeEnd,
+  applyCornerPriority,
+  measureFreezeLayout,
+  measureFreezeBackgrounds,
+  applyFreezeBackgrounds,
+  applyContainerScrollPadding
+} from './utils/freeze-appliers.js';
+import { invalidateCellMatrix, getFrozenColumns, getCellMatrix } from './utils/span-helpers.js';
+import {
+  createResizeObserver,
+  createIntersectionObserver,
+  createMutationObserver,
+  collectMutations,
+  createThemeObserver,
+  syncObservers
+} from './utils/observers.js';
+import { createFloatingScrollbar } from './utils/floating-scrollbar.js';
+import {
+  createStylesheetWriter,
+  hasFreezeStylesheet,
+  removeFreezeStylesheet,
+  setStylesheetScrollOffset,
+  clearStylesheetScrollOffsets
+} from './utils/freeze-stylesheet.js';
+import {
+  DEFAULT_BREAKPOINTS,
+  getResponsiveAttributes,
+  getResponsiveFreezeCounts,
+  getFreezeLimit,
+  limitFreezeConfig
+} from './utils/responsive-freeze.js';
+import { moveFrozenRowsToHead } from './utils/print-layout.js';
+import {
+  getFrozenInsets,
+  getContainerScrollPadding,
+  setRootScrollPadding,
+  clearRootScrollPadding,
+  getRevealDelta,
+  getFrozenAxes
+} from './utils/scroll-padding.js';
+import { resolveHashTarget, getTargetCells, highlightCells } from './utils/hash-navigation.js';
+import {
+  annotateFrozenTable,
+  clearTableAnnotations,
+  clearCopiedAnnotations,
+  describeFreeze,
+  createLiveRegion
+} from './utils/accessibility.js';
 
 export default class TableFreezeController {
   /**
@@ -27,21 +124,67 @@ export default class TableFreezeController {
   constructor(options = {}) {
     this.options = {
       offsetSelector: "",
+      scrollRoot: null,
+      bottomOffset: 0,
+      scrollMode: "auto",
+      floatingScrollbar: false,
+      debug: false,
+      renderMode: "inline",
+      breakpoints: DEFAULT_BREAKPOINTS,
+      maxFrozenWidth: 0.5,
+      maxFrozenHeight: 0.5,
+      printMode: true,
+      hashNavigation: true,
+      announceFreeze: false,
       ...options,
     };
     this._refreshRaf = 0;
     this._scrollRaf = 0;
     this._mutationRaf = 0;
+    this._scrollStateRaf = 0;
+    this._themeRaf = 0;
+    this._themeKey = "";
+    this._hashRaf = 0;
     this._onResize = this._onResize.bind(this);
     this._onScroll = this._onScroll.bind(this);
     this._onIntersection = this._onIntersection.bind(this);
+    this._onBeforePrint = this._onBeforePrint.bind(this);
+    this._onAfterPrint = this._onAfterPrint.bind(this);
+    this._onPrintMediaChange = this._onPrintMediaChange.bind(this);
+    this._onHashChange = this._onHashChange.bind(this);
     this._resizeObserver = null;
     this._intersectionObserver = null;
+    this._offsetObserver = null;
+    this._offsetElements = new Set();
+    this._stickyOffset = 0;
+    this._floatingScrollbars = new Map();
+    this._scrollStateListeners = new Map();
+    this._pendingScrollStateTables = new Set();
     this._mutationObserver = null;
+    this._themeObserver = null;
+    this._printMedia = null;
+    this._printRestores = [];
+    this._isPrinting = false;
+    this._clearTargetHighlight = null;
+    this._liveRegion = null;
     this._isDestroyed = false;
     this._observedTables = new Map();
+    this._managedTables = new Set();
+    this._unfrozenTables = new Set(); // unfreeze() overrides the markup until the next freeze()
+    this._pendingAttributeTables = new Set();
+    this._pendingRowChanges = new Map();
+    this._pendingResizeTables = new Set();
+    this._layoutKeys = new WeakMap();
+    this._backgroundKeys = new WeakMap();
+    this._activeConfigs = new WeakMap();
+    this._frozenInsets = new WeakMap();
+    this._rootScrollPadding = "";
+    this._observedContainers = new Map(); // container -> Set of its tables
+    this._scrollModes = new WeakMap();
+    this._pendingFullRefresh = false;
     this._tablesInStickyZone = new Set();
     this._scrollListenerAttached = false;
+    this._scrollRoot = null;
     this._isInitialized = false;
   }
 
@@ -61,125 +204,1056 @@ export default class TableFreezeController {
         return false;
       }
 
-      // Validate offset selector if provided
-      if (this.options.offsetSelector && typeof this.options.offsetSelector !== "string") {
-        console.error("TableFreezeController: offsetSelector must be a string");
+      // Validate offset source if provided
+      const { offsetSelector } = this.options;
+      const isOffsetSource = (source) => typeof source === "string" || (source && source.nodeType === 1);
+      if (
+        offsetSelector &&
+        typeof offsetSelector !== "function" &&
+        !(Array.isArray(offsetSelector) ? offsetSelector.every(isOffsetSource) : typeof offsetSelector === "string")
+      ) {
+        console.error("TableFreezeController: offsetSelector must be a selector, an array of selectors/elements or a function");
+        return false;
+      }
+
+      const { bottomOffset } = this.options;
+      if (typeof bottomOffset !== "number" || !Number.isFinite(bottomOffset) || bottomOffset < 0) {
+        console.error("TableFreezeController: bottomOffset must be a non-negative number");
+        return false;
+      }
+
+      if (!["auto", "page", "container"].includes(this.options.scrollMode)) {
+        console.error("TableFreezeController: scrollMode must be 'auto', 'page' or 'container'");
         return false;
       }
 
+      if (typeof this.options.floatingScrollbar !== "boolean") {
+        console.error("TableFreezeController: floatingScrollbar must be a boolean");
+        return false;
+      }
+
+      if (typeof this.options.debug !== "boolean") {
+        console.error("TableFreezeController: debug must be a boolean");
+        return false;
+      }
+
+      if (!["inline", "stylesheet"].includes(this.options.renderMode)) {
+        console.error("TableFreezeController: renderMode must be 'inline' or 'stylesheet'");
+        return false;
+      }
+
+      const { breakpoints } = this.options;
+      if (
+        !breakpoints || typeof breakpoints !== "object" ||
+        !Object.values(breakpoints).every((width) => typeof width === "number" && Number.isFinite(width) && width >= 0)
+      ) {
+        console.error("TableFreezeController: breakpoints must map names to non-negative widths in pixels");
+        return false;
+      }
+
+      const isLimit = (value) => value === false || (typeof value === "number" && value >= 0);
+      if (!isLimit(this.options.maxFrozenWidth) || !isLimit(this.options.maxFrozenHeight)) {
+        console.error("TableFreezeController: maxFrozenWidth and maxFrozenHeight must be non-negative numbers or false");
+        return false;
+      }
+
+      if (typeof this.options.printMode !== "boolean") {
+        console.error("TableFreezeController: printMode must be a boolean");
+        return false;
+      }
+
+      if (typeof this.options.hashNavigation !== "boolean") {
+        console.error("TableFreezeController: hashNavigation must be a boolean");
+        return false;
+      }
+
+      if (typeof this.options.announceFreeze !== "boolean") {
+        console.error("TableFreezeController: announceFreeze must be a boolean");
+        return false;
+      }
+
+      const { scrollRoot } = this.options;
+      if (scrollRoot && typeof scrollRoot !== "string" && scrollRoot.nodeType !== 1) {
+        console.error("TableFreezeController: scrollRoot must be an element or a selector");
+        return false;
+      }
+      this._scrollRoot = resolveScrollRoot(scrollRoot);
+      if (scrollRoot && !this._scrollRoot) {
+        console.warn("TableFreezeController: scrollRoot not found, falling back to the window");
+      }
+
+      if (this.options.announceFreeze) {
+        this._liveRegion = createLiveRegion();
+      }
+
       // Check for tables but don't fail if none exist yet
-      const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
+      const tables = this._getTables();
       if (tables.length === 0) {
         console.warn("TableFreezeController: No tables with class 'freeze-table' or 'editor360-table' found. Will watch for dynamic additions.");
       } else {
         this.refresh();
       }
 
-      window.addEventListener("resize", this._onResize);
-      this._initResizeObserver();
-      this._initIntersectionObserver();
-      this._initMutationObserver();
-      this._isInitialized = true;
-      return true;
-    } catch (error) {
-      console.error("TableFreezeController: Failed to initialize", error);
-      return false;
+      window.addEventListener("resize", this._onResize);
+      this._initResizeObserver();
+      this._initIntersectionObserver();
+      this._initOffsetObserver();
+      this._initMutationObserver();
+      this._initThemeObserver();
+      this._initPrintListeners();
+      this._initHashNavigation();
+      this._isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize", error);
+      return false;
+    }
+  }
+
+  /**
+   * Initialize ResizeObserver for automatic layout recalculation
+   * @private
+   */
+  _initResizeObserver() {
+    try {
+      this._resizeObserver = createResizeObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.target.tagName === "TABLE") {
+            this._pendingResizeTables.add(entry.target);
+            return;
+          }
+          const tables = this._observedContainers.get(entry.target);
+          if (tables) tables.forEach((table) => this._pendingResizeTables.add(table));
+        });
+        if (this._refreshRaf) return;
+        this._refreshRaf = requestAnimationFrame(() => {
+          this._refreshRaf = 0;
+          const resizedTables = Array.from(this._pendingResizeTables);
+          this._pendingResizeTables.clear();
+          try {
+            // Only tables whose frozen geometry or container size changed need re-applying;
+            // a table that merely grew taller from appended rows is handled incrementally
+            const changed = resizedTables.filter((table) => this._hasLayoutChanged(table));
+            this._applyTables(changed, { relayout: true });
+            if (changed.some((table) => this._tablesInStickyZone.has(table))) {
+              this.handlePageScroll();
+            }
+          } catch (error) {
+            console.error("TableFreezeController: Error in ResizeObserver", error);
+          }
+        });
+      });
+
+      if (!this._resizeObserver) return;
+
+      const tables = this._getTables();
+      tables.forEach((table) => {
+        this._resizeObserver.observe(table);
+        this._observedTables.set(table, true);
+        // The first apply ran before the observer existed; container-only width changes
+        // (breakpoints, size guard) must still reach these tables
+        this._observeContainer(table, getTableContainer(table));
+      });
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize ResizeObserver", error);
+    }
+  }
+
+  /**
+   * Initialize IntersectionObserver for viewport-aware sticky positioning
+   * @private
+   */
+  _initIntersectionObserver() {
+    try {
+      this._stickyOffset = getStickyOffset(
+        this.options.offsetSelector,
+        getScrollRootBounds(this._scrollRoot).top
+      );
+
+      this._intersectionObserver = createIntersectionObserver(
+        this._onIntersection,
+        this._stickyOffset,
+        this._scrollRoot
+      );
+
+      if (!this._intersectionObserver) {
+        console.warn("TableFreezeController: IntersectionObserver not supported, using scroll listener");
+        this._attachScrollListener();
+        return;
+      }
+
+      const tables = this._getTables();
+      tables.forEach((table) => {
+        this._intersectionObserver.observe(table);
+      });
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize IntersectionObserver", error);
+      this._attachScrollListener();
+    }
+  }
+
+  /**
+   * Initialize ResizeObserver for the offset elements (app bars, banners)
+   * Their size changes move the sticky line without any scroll event
+   * @private
+   */
+  _initOffsetObserver() {
+    try {
+      this._offsetObserver = createResizeObserver(() => this._onScroll());
+      this._observeOffsetElements();
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize offset observer", error);
+    }
+  }
+
+  /**
+   * Observe offset elements that appeared since the last check
+   * @private
+   */
+  _observeOffsetElements() {
+    if (!this._offsetObserver) return;
+    const elements = getOffsetElements(this.options.offsetSelector);
+    const current = new Set(elements);
+    this._offsetElements.forEach((el) => {
+      if (!current.has(el)) {
+        this._offsetObserver.unobserve(el);
+        this._offsetElements.delete(el);
+      }
+    });
+    elements.forEach((el) => {
+      if (!this._offsetElements.has(el)) {
+        this._offsetObserver.observe(el);
+        this._offsetElements.add(el);
+      }
+    });
+  }
+
+  /**
+   * Measure the sticky offset and rebuild the IntersectionObserver when its margin is stale
+   * @private
+   * @param {number} rootTop - Top edge of the scroll root in viewport coordinates
+   * @returns {number} - Current sticky offset in pixels below the scroll root top
+   */
+  _updateStickyOffset(rootTop) {
+    const offset = getStickyOffset(this.options.offsetSelector, rootTop);
+    this._observeOffsetElements();
+    if (offset === this._stickyOffset) return offset;
+
+    this._stickyOffset = offset;
+    if (this._intersectionObserver) {
+      // rootMargin is fixed per observer; the new one reports every table again
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = createIntersectionObserver(
+        this._onIntersection,
+        offset,
+        this._scrollRoot
+      );
+      if (this._intersectionObserver) {
+        this._getTables().forEach((table) => this._intersectionObserver.observe(table));
+      } else {
+        this._attachScrollListener();
+      }
+    }
+    return offset;
+  }
+
+  /**
+   * Initialize MutationObserver for dynamic content changes
+   * @private
+   */
+  _initMutationObserver() {
+    try {
+      this._mutationObserver = createMutationObserver(
+        (changes) => this._onMutations(changes),
+        getResponsiveAttributes(this.options.breakpoints)
+      );
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize MutationObserver", error);
+    }
+  }
+
+  /**
+   * Queue changes reported by the MutationObserver and handle them in the next frame
+   * @private
+   * @param {{shouldRefresh: boolean, changedTables: Set, rowChanges: Map}} changes - Changes from collectMutations
+   */
+  _onMutations({ shouldRefresh, changedTables, rowChanges }) {
+    // Changes made while printing are picked up by the full pass after printing
+    if (this._isPrinting) return;
+    if (shouldRefresh) {
+      this._pendingFullRefresh = true;
+    }
+    changedTables.forEach((table) => this._pendingAttributeTables.add(table));
+    rowChanges.forEach((change, table) => {
+      // Cached span matrices are stale right away; resize and scroll frames queued
+      // before the mutation frame read them too
+      invalidateCellMatrix(table);
+      this._mergeRowChange(table, change);
+    });
+
+    if (this._mutationRaf) return;
+    this._mutationRaf = requestAnimationFrame(() => {
+      this._mutationRaf = 0;
+      const fullRefresh = this._pendingFullRefresh;
+      const attributeTables = Array.from(this._pendingAttributeTables);
+      const rowChanges = new Map(this._pendingRowChanges);
+      this._pendingFullRefresh = false;
+      this._pendingAttributeTables.clear();
+      this._pendingRowChanges.clear();
+      try {
+        if (fullRefresh) {
+          this.applyAll();
+          this._syncObservers();
+        } else {
+          this._applyChangedTables(attributeTables);
+          // Tables re-applied for attribute changes already include their new rows
+          attributeTables.forEach((table) => rowChanges.delete(table));
+          this._applyRowChanges(rowChanges);
+        }
+      } catch (error) {
+        console.error("TableFreezeController: Error in MutationObserver", error);
+      }
+    });
+  }
+
+  /**
+   * Make attribute writes of the controller itself without the MutationObserver reporting them
+   * Records that were already pending are still handled
+   * @private
+   * @param {Function} write - DOM writes
+   */
+  _writeUnobserved(write) {
+    const observer = this._mutationObserver;
+    const pending = observer ? observer.takeRecords() : [];
+    try {
+      write();
+    } finally {
+      if (observer) observer.takeRecords();
+    }
+    const changes = collectMutations(pending);
+    if (changes) this._onMutations(changes);
+  }
+
+  /**
+   * Initialize the theme observer that re-resolves frozen cell backgrounds
+   * @private
+   */
+  _initThemeObserver() {
+    try {
+      this._themeKey = this._getThemeKey(this._getTables());
+      this._themeObserver = createThemeObserver(() => {
+        if (this._themeRaf) return;
+        this._themeRaf = requestAnimationFrame(() => {
+          this._themeRaf = 0;
+          try {
+            // Root class and style changes are frequent (modals, scroll locks); cells are only
+            // resolved again once the page or table colors changed, and only tables whose cell
+            // colors changed are re-applied
+            const tables = this._getTables();
+            const themeKey = this._getThemeKey(tables);
+            if (themeKey === this._themeKey) return;
+            this._themeKey = themeKey;
+            const changed = tables.filter((table) => {
+              const config = this._getActiveConfig(table);
+              const backgrounds = measureFreezeBackgrounds(table, { ...config, colFreeze: config.frozenColumns });
+              return this._backgroundKeys.get(table) !== this._getBackgroundKey(backgrounds);
+            });
+            this._applyTables(changed);
+          } catch (error) {
+            console.error("TableFreezeController: Error in theme observer", error);
+          }
+        });
+      });
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize theme observer", error);
+    }
+  }
+
+  /**
+   * Get the computed colors a theme switch changes on the root, the body and the managed tables
+   * @private
+   * @param {HTMLTableElement[]} tables - Managed tables
+   * @returns {string} - Key that changes with any of these colors
+   */
+  _getThemeKey(tables) {
+    return [document.documentElement, document.body, ...tables]
+      .map((element) => {
+        const style = window.getComputedStyle(element);
+        return `${style.backgroundColor}|${style.color}|${style.colorScheme || ""}`;
+      })
+      .join(";");
+  }
+
+  /**
+   * Listen for printing through beforeprint/afterprint and the print media query
+   * (the media query covers browsers that do not fire the print events)
+   * @private
+   */
+  _initPrintListeners() {
+    if (!this.options.printMode) return;
+    try {
+      window.addEventListener("beforeprint", this._onBeforePrint);
+      window.addEventListener("afterprint", this._onAfterPrint);
+      if (typeof window.matchMedia === "function") {
+        this._printMedia = window.matchMedia("print");
+        if (typeof this._printMedia.addEventListener === "function") {
+          this._printMedia.addEventListener("change", this._onPrintMediaChange);
+        } else {
+          this._printMedia.addListener(this._onPrintMediaChange);
+        }
+      }
+    } catch (error) {
+      console.error("TableFreezeController: Failed to initialize print listeners", error);
+    }
+  }
+
+  /**
+   * Remove the print listeners
+   * @private
+   */
+  _removePrintListeners() {
+    window.removeEventListener("beforeprint", this._onBeforePrint);
+    window.removeEventListener("afterprint", this._onAfterPrint);
+    if (this._printMedia) {
+      if (typeof this._printMedia.removeEventListener === "function") {
+        this._printMedia.removeEventListener("change", this._onPrintMediaChange);
+      } else {
+        this._printMedia.removeListener(this._onPrintMediaChange);
+      }
+      this._printMedia = null;
+    }
+  }
+
+  /**
+   * Handle print media query changes
+   * @private
+   * @param {MediaQueryListEvent} event - Media query change event
+   */
+  _onPrintMediaChange(event) {
+    if (event.matches) {
+      this._onBeforePrint();
+    } else {
+      this._onAfterPrint();
+    }
+  }
+
+  /**
+   * Remove freeze styling before printing and move frozen top rows into the table head,
+   * which browsers repeat on every printed page
+   * Both the print events and the media query report printing, so this runs once per print
+   * @private
+   */
+  _onBeforePrint() {
+    if (this._isPrinting) return;
+    this._isPrinting = true;
+    try {
+      this._getTables().forEach((table) => {
+        const { rowFreeze } = this._getActiveConfig(table);
+        clearFreezeStyles(table);
+        removeFreezeStylesheet(table);
+        setFreezeDirection(table, false);
+        this._printRestores.push({ table, restore: moveFrozenRowsToHead(table, rowFreeze) });
+      });
+      // Row moves are the controller's own; they must not reach the mutation handler
+      if (this._mutationObserver) this._mutationObserver.takeRecords();
+    } catch (error) {
+      console.error("TableFreezeController: Error preparing tables for printing", error);
+    }
+  }
+
+  /**
+   * Put frozen rows back where they were after printing and freeze the tables again
+   * @private
+   */
+  _onAfterPrint() {
+    if (!this._isPrinting) return;
+    try {
+      this._restorePrintLayout();
+      this._isPrinting = false;
+      this.applyAll();
+      this.handlePageScroll();
+    } catch (error) {
+      this._isPrinting = false;
+      console.error("TableFreezeController: Error restoring tables after printing", error);
+    }
+  }
+
+  /**
+   * Restore rows moved for printing
+   * @private
+   */
+  _restorePrintLayout() {
+    const restores = this._printRestores;
+    this._printRestores = [];
+    restores.forEach(({ table, restore }) => {
+      restore();
+      invalidateCellMatrix(table);
+    });
+    if (this._mutationObserver) this._mutationObserver.takeRecords();
+  }
+
+  /**
+   * Listen for hash changes and reveal a target already in the URL on load
+   * @private
+   */
+  _initHashNavigation() {
+    if (!this.options.hashNavigation) return;
+    window.addEventListener("hashchange", this._onHashChange);
+    if (window.location.hash) {
+      this._onHashChange();
+    }
+  }
+
+  /**
+   * Handle hash changes
+   * @private
+   */
+  _onHashChange() {
+    if (this._hashRaf) cancelAnimationFrame(this._hashRaf);
+    // The next frame runs after the browser's own jump to the target, which this corrects
+    this._hashRaf = requestAnimationFrame(() => {
+      this._hashRaf = 0;
+      try {
+        this._revealHashTarget(window.location.hash);
+      } catch (error) {
+        console.error("TableFreezeController: Error in hash navigation", error);
+      }
+    });
+  }
+
+  /**
+   * Scroll the page and table container so the cell or row a hash targets is not hidden
+   * below the sticky offset, stuck frozen rows or frozen columns, then highlight it briefly
+   * @private
+   * @param {string} hash - Location hash including the leading "#"
+   * @returns {boolean} - True if the hash targets a frozen table
+   */
+  _revealHashTarget(hash) {
+    if (this._isPrinting) return false;
+    const target = resolveHashTarget(hash);
+    const table = target ? target.closest("table") : null;
+    if (!table || !this._activeConfigs.has(table)) return false;
+
+    const cells = getTargetCells(target, table);
+    if (cells.length === 0) return false;
+
+    // A row is revealed through its first cell; frozen leading cells only scroll vertically
+    this.scrollCellIntoView(cells[0]);
+    if (this._clearTargetHighlight) this._clearTargetHighlight();
+    this._clearTargetHighlight = highlightCells(cells);
+    return true;
+  }
+
+  /**
+   * Re-apply only the tables whose freeze attributes or class changed
+   * @private
+   * @param {HTMLTableElement[]} changedTables - Tables reported by the MutationObserver
+   */
+  _applyChangedTables(changedTables) {
+    if (changedTables.length === 0) return;
+
+    // Class changes can add or remove tables from the managed set
+    this._syncObservers();
+    const managed = new Set(this._getTables());
+    const attached = changedTables.filter((table) => document.contains(table));
+
+    this._applyTables(attached.filter((table) => managed.has(table)));
+    attached
+      .filter((table) => !managed.has(table))
+      .forEach((table) => this._clearTable(table));
+
+    // Re-position stuck rows of tables already scrolled past the sticky offset
+    if (this._tablesInStickyZone.size > 0) {
+      this.handlePageScroll();
+    }
+  }
+
+  /**
+   * Merge a row change reported by the MutationObserver into the pending changes
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {{added: Set, removed: Set, structural: boolean}} change - Row change
+   */
+  _mergeRowChange(table, change) {
+    const pending = this._pendingRowChanges.get(table);
+    if (!pending) {
+      this._pendingRowChanges.set(table, change);
+      return;
+    }
+    change.added.forEach((row) => pending.added.add(row));
+    change.removed.forEach((row) => {
+      if (!pending.added.delete(row)) {
+        pending.removed.add(row);
+      }
+    });
+    pending.structural = pending.structural || change.structural;
+  }
+
+  /**
+   * Incrementally update tables whose rows were added or removed
+   * Only new rows are styled unless the frozen row zone itself changed
+   * @private
+   * @param {Map} rowChanges - Map of table -> { added, removed, structural }
+   */
+  _applyRowChanges(rowChanges) {
+    if (rowChanges.size === 0) return;
+    const managed = new Set(this._getTables());
+    const fullTables = [];
+    const incremental = [];
+
+    // Styling clears the freeze classes that identify cloned cells, so their copied
+    // annotations go first
+    rowChanges.forEach((change, table) => {
+      if (managed.has(table)) clearCopiedAnnotations(Array.from(change.added));
+    });
+
+    // Measure phase: decide per table and read column widths before styling any rows
+    rowChanges.forEach((change, table) => {
+      try {
+        if (!managed.has(table)) return;
+
+        const config = this._getActiveConfig(table);
+        const { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd } = config;
+        if (frozenColumns.length === 0 && colFreezeEnd <= 0 && rowFreeze <= 0 && rowFreezeEnd <= 0) return;
+
+        if (change.structural || this._touchesFrozenRows(table, change, rowFreeze, rowFreezeEnd)) {
+          fullTables.push(table);
+          return;
+        }
+
+        const addedRows = Array.from(change.added).filter((row) => row.closest("table") === table);
+        const measured = measureFreezeLayout(table, { colFreeze: frozenColumns, colFreezeEnd, rows: addedRows });
+        incremental.push({ table, addedRows, config, measured });
+      } catch (error) {
+        console.error("TableFreezeController: Error updating table rows", error);
+      }
+    });
+
+    // Mutate phase
+    incremental.forEach(({ table, addedRows, config, measured }) => {
+      try {
+        // New rows reuse the table's rules; append keeps them in the stylesheet
+        const writer = this._isStylesheetMode() ? createStylesheetWriter(table, { append: true }) : null;
+        applyColumnFreezeToRows(table, addedRows, config.frozenColumns, config.colFreezeEnd, measured, writer);
+        if (writer) writer.commit();
+        annotateFrozenTable(table, getTableContainer(table), config);
+      } catch (error) {
+        console.error("TableFreezeController: Error updating table rows", error);
+      }
+    });
+    incremental.forEach(({ table }) => this._layoutKeys.set(table, this._getLayoutKey(table)));
+
+    this._applyTables(fullTables);
+    const needsScrollUpdate = fullTables.some((table) => this._tablesInStickyZone.has(table));
+
+    if (needsScrollUpdate) {
+      this.handlePageScroll();
+    }
+  }
+
+  /**
+   * Read the freeze configuration of a table from its attributes and markup
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @returns {{colFreeze: number, colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number, frozenColumns: number[]}}
+   *   - Freeze counts plus the resolved leading frozen columns (including data-freeze columns)
+   */
+  _getFreezeConfig(table) {
+    const colFreeze = getFreezeCount(table, "data-col-freeze");
+    return {
+      colFreeze,
+      colFreezeEnd: getFreezeCount(table, "data-col-freeze-end"),
+      rowFreeze: getFreezeCount(table, "data-row-freeze"),
+      rowFreezeEnd: getFreezeCount(table, "data-row-freeze-end"),
+      frozenColumns: getFrozenColumns(table, colFreeze),
+    };
+  }
+
+  /**
+   * Get the freeze configuration last applied to a table, after breakpoints and the size
+   * guard; tables not applied yet fall back to their attributes
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Object} - Freeze configuration (see _getFreezeConfig)
+   */
+  _getActiveConfig(table) {
+    return this._activeConfigs.get(table) || this._getFreezeConfig(table);
+  }
+
+  /**
+   * Resolve and measure the configuration to apply to a table (reads only)
+   * Breakpoints pick the counts for the container width, then the frozen area is reduced
+   * until it fits maxFrozenWidth of the container and maxFrozenHeight of the visible height
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {HTMLElement|null} container - Table container
+   * @param {string} scrollMode - "page" or "container"
+   * @returns {{active: Object, measured: Object, insets: Object}} - Configuration to apply, its measurements
+   *   and the size of its frozen area on each edge
+   */
+  _measureActiveConfig(table, container, scrollMode) {
+    const box = container || table.parentElement || table;
+    const counts = getResponsiveFreezeCounts(table, box.clientWidth, this.options.breakpoints);
+    const config = { ...counts, frozenColumns: getFrozenColumns(table, counts.colFreeze) };
+    const measured = measureFreezeLayout(table, { ...config, colFreeze: config.frozenColumns });
+
+    let visibleHeight = container ? container.clientHeight : 0;
+    if (scrollMode !== "container") {
+      const bounds = getScrollRootBounds(this._scrollRoot);
+      visibleHeight = bounds.bottom - bounds.top - this._stickyOffset - this.options.bottomOffset;
+    }
+    const rowCount = getLogicalRows(table).length;
+    const active = limitFreezeConfig(config, measured, {
+      maxWidth: getFreezeLimit(box.clientWidth, this.options.maxFrozenWidth),
+      maxHeight: getFreezeLimit(Math.max(0, visibleHeight), this.options.maxFrozenHeight),
+      rowCount,
+    });
+
+    // Cells dropped by the guard must not be painted
+    if (active.reduced) {
+      Object.assign(measured, measureFreezeBackgrounds(table, { ...active, colFreeze: active.frozenColumns }));
+    }
+    return { active, measured, insets: getFrozenInsets(measured, active, rowCount) };
+  }
+
+  /**
+   * Get a key identifying a freeze configuration
+   * @private
+   * @param {Object} config - Freeze configuration
+   * @returns {string} - Configuration key
+   */
+  _getConfigKey(config) {
+    const { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd } = config;
+    return `${frozenColumns.join(",")}|${colFreezeEnd}|${rowFreeze}|${rowFreezeEnd}`;
+  }
+
+  /**
+   * Get the scroll mode of a table, resolved when freezing was last applied
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {HTMLElement|null} container - Table container
+   * @returns {string} - "page" or "container"
+   */
+  _getScrollMode(table, container) {
+    let mode = this._scrollModes.get(table);
+    if (!mode) {
+      mode = getScrollMode(table, container, this.options.scrollMode);
+      this._scrollModes.set(table, mode);
+    }
+    return mode;
+  }
+
+  /**
+   * Check whether added/removed rows fall inside the frozen row zone
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {{added: Set, removed: Set}} change - Row change
+   * @param {number} rowFreeze - Number of frozen rows
+   * @param {number} rowFreezeEnd - Number of frozen footer rows
+   * @returns {boolean} - True if frozen rows or their boundary must be recomputed
+   */
+  _touchesFrozenRows(table, change, rowFreeze, rowFreezeEnd) {
+    // Footer rows are counted from the bottom, so any row change can shift them
+    if (rowFreezeEnd > 0) return true;
+    if (rowFreeze <= 0) return false;
+
+    for (const row of change.removed) {
+      const wasFrozen = Array.from(row.cells).some((cell) =>
+        cell.classList.contains("freeze-row") || cell.classList.contains("freeze-both")
+      );
+      if (wasFrozen) return true;
+    }
+
+    const rows = getLogicalRows(table);
+    for (const row of change.added) {
+      const index = rows.indexOf(row);
+      if (index !== -1 && index < rowFreeze) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get a key describing the geometry freezing depends on (table width, container size
+   * for breakpoints and the size guard, and frozen row heights)
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @returns {string} - Layout key
+   */
+  _getLayoutKey(table) {
+    const width = table.getBoundingClientRect().width;
+    const { rowFreeze, rowFreezeEnd } = this._getActiveConfig(table);
+    const container = getTableContainer(table);
+    const box = container || table.parentElement || table;
+    // A page-mode container grows with appended rows; only its width matters there
+    const containerSize = container && this._getScrollMode(table, container) === "container"
+      ? `${box.clientWidth}x${box.clientHeight}`
+      : `${box.clientWidth}`;
+    const rows = getLogicalRows(table);
+    const heights = rows
+      .slice(0, rowFreeze)
+      .map((row) => row.getBoundingClientRect().height);
+    const footerHeights = rowFreezeEnd > 0
+      ? rows.slice(-rowFreezeEnd).map((row) => row.getBoundingClientRect().height)
+      : [];
+    return `${width}|${containerSize}|${heights.join(",")}|${footerHeights.join(",")}`;
+  }
+
+  /**
+   * Get a key describing the resolved backgrounds of a table and its frozen cells
+   * @private
+   * @param {{bgColor: string|null, cellBackgrounds: Map}} backgrounds - Result from measureFreezeBackgrounds
+   * @returns {string} - Background key
+   */
+  _getBackgroundKey(backgrounds) {
+    return `${backgrounds.bgColor}|${Array.from(backgrounds.cellBackgrounds.values()).join(";")}`;
+  }
+
+  /**
+   * Check whether a table's frozen geometry changed since freezing was last applied
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @returns {boolean} - True if freezing should be re-applied
+   */
+  _hasLayoutChanged(table) {
+    if (!document.contains(table)) return false;
+    return this._layoutKeys.get(table) !== this._getLayoutKey(table);
+  }
+
+  /**
+   * Sync ResizeObserver and IntersectionObserver with current tables
+   * @private
+   */
+  _syncObservers() {
+    syncObservers(
+      this._observedTables,
+      this._resizeObserver,
+      this._intersectionObserver,
+      this._tablesInStickyZone,
+      this._getTables()
+    );
+    this._floatingScrollbars.forEach((_, table) => {
+      if (!this._observedTables.has(table)) this._removeFloatingScrollbar(table);
+    });
+    this._scrollStateListeners.forEach((_, table) => {
+      if (!this._observedTables.has(table)) this._untrackScrollState(table);
+    });
+    this._observedContainers.forEach((tables) => {
+      tables.forEach((table) => {
+        if (!this._observedTables.has(table)) this._unobserveContainer(table);
+      });
+    });
+  }
+
+  /**
+   * Check whether frozen cells are rendered through generated stylesheets
+   * @private
+   * @returns {boolean} - True in stylesheet render mode
+   */
+  _isStylesheetMode() {
+    return this.options.renderMode === "stylesheet";
+  }
+
+  /**
+   * Remove all freezing from a table in the current render mode
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  _clearTable(table) {
+    clearFreezeStyles(table);
+    removeFreezeStylesheet(table);
+    setFreezeDirection(table, false);
+    this._activeConfigs.delete(table);
+    this._frozenInsets.delete(table);
+    clearTableAnnotations(table);
+  }
+
+  /**
+   * Get markup tables plus tables registered through freeze(), without tables unfrozen
+   * through unfreeze()
+   * @private
+   * @returns {HTMLTableElement[]} - Tables managed by this controller
+   */
+  _getTables() {
+    return queryFreezeTables(this._managedTables).filter((table) => !this._unfrozenTables.has(table));
+  }
+
+  /**
+   * Start observing a single table if it is not observed yet
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  _observeTable(table) {
+    if (this._observedTables.has(table)) return;
+    if (this._resizeObserver) {
+      this._resizeObserver.observe(table);
+    }
+    if (this._intersectionObserver) {
+      this._intersectionObserver.observe(table);
+    }
+    this._observedTables.set(table, true);
+  }
+
+  /**
+   * Watch a table's container with the ResizeObserver, so breakpoints and the size guard
+   * follow container width changes the table itself does not see
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {HTMLElement|null} container - Table container
+   */
+  _observeContainer(table, container) {
+    if (!this._resizeObserver || !container) return;
+    const tables = this._observedContainers.get(container);
+    if (tables && tables.has(table)) return;
+
+    // The table may have moved out of another container
+    this._unobserveContainer(table);
+    if (tables) {
+      tables.add(table);
+      return;
+    }
+    this._resizeObserver.observe(container);
+    this._observedContainers.set(container, new Set([table]));
+  }
+
+  /**
+   * Stop watching the container of a table
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  _unobserveContainer(table) {
+    this._observedContainers.forEach((tables, container) => {
+      if (!tables.delete(table) || tables.size > 0) return;
+      if (this._resizeObserver) this._resizeObserver.unobserve(container);
+      this._observedContainers.delete(container);
+    });
+  }
+
+  /**
+   * Stop observing a single table
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  _unobserveTable(table) {
+    if (!this._observedTables.has(table)) return;
+    if (this._resizeObserver) {
+      this._resizeObserver.unobserve(table);
     }
+    if (this._intersectionObserver) {
+      this._intersectionObserver.unobserve(table);
+    }
+    this._observedTables.delete(table);
+    this._tablesInStickyZone.delete(table);
+    this._removeFloatingScrollbar(table);
+    this._untrackScrollState(table);
+    this._unobserveContainer(table);
   }
 
   /**
-   * Initialize ResizeObserver for automatic layout recalculation
+   * Listen to horizontal (and container) scrolling of a table's container to keep its
+   * scroll-state classes current
    * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {HTMLElement} container - Scrolling container of the table
    */
-  _initResizeObserver() {
-    try {
-      this._resizeObserver = createResizeObserver(() => {
-        if (this._refreshRaf) return;
-        this._refreshRaf = requestAnimationFrame(() => {
-          this._refreshRaf = 0;
-          try {
-            this.applyAll();
-          } catch (error) {
-            console.error("TableFreezeController: Error in ResizeObserver", error);
-          }
+  _trackScrollState(table, container) {
+    const tracked = this._scrollStateListeners.get(table);
+    if (tracked && tracked.container !== container) {
+      this._untrackScrollState(table);
+    }
+    if (!this._scrollStateListeners.has(table)) {
+      const handler = () => {
+        this._pendingScrollStateTables.add(table);
+        if (this._scrollStateRaf) return;
+        this._scrollStateRaf = requestAnimationFrame(() => {
+          this._scrollStateRaf = 0;
+          const tables = Array.from(this._pendingScrollStateTables);
+          this._pendingScrollStateTables.clear();
+          // Read every container before toggling any class
+          const states = tables.map((pendingTable) => this._readScrollState(pendingTable));
+          tables.forEach((pendingTable, index) => {
+            if (states[index]) setScrollState(pendingTable, states[index]);
+          });
         });
-      });
-
-      if (!this._resizeObserver) return;
+      };
+      container.addEventListener("scroll", handler, { passive: true });
+      this._scrollStateListeners.set(table, { container, handler });
+    }
+  }
 
-      const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
-      tables.forEach((table) => {
-        this._resizeObserver.observe(table);
-        this._observedTables.set(table, true);
-      });
-    } catch (error) {
-      console.error("TableFreezeController: Failed to initialize ResizeObserver", error);
+  /**
+   * Stop tracking scroll state of a table and remove its state classes
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  _untrackScrollState(table) {
+    const tracked = this._scrollStateListeners.get(table);
+    if (tracked) {
+      tracked.container.removeEventListener("scroll", tracked.handler);
+      this._scrollStateListeners.delete(table);
     }
+    this._pendingScrollStateTables.delete(table);
+    clearScrollState(table);
   }
 
   /**
-   * Initialize IntersectionObserver for viewport-aware sticky positioning
+   * Read the scroll state of a table from its container
+   * Rows count as stuck here only in container scroll mode; in page mode
+   * handlePageScroll sets that state
    * @private
+   * @param {HTMLTableElement} table - Table element
+   * @returns {Object|null} - State for setScrollState, or null when the table is not tracked
    */
-  _initIntersectionObserver() {
+  _readScrollState(table) {
     try {
-      const stickyOffset = getStickyOffset(this.options.offsetSelector);
-      
-      this._intersectionObserver = createIntersectionObserver(
-        this._onIntersection,
-        stickyOffset
-      );
-
-      if (!this._intersectionObserver) {
-        console.warn("TableFreezeController: IntersectionObserver not supported, using scroll listener");
-        this._attachScrollListener();
-        return;
+      const tracked = this._scrollStateListeners.get(table);
+      if (!tracked) return null;
+      const { container } = tracked;
+      const maxScrollLeft = container.scrollWidth - container.clientWidth;
+      // RTL containers scroll from 0 towards negative scrollLeft values
+      const scrollLeft = Math.abs(container.scrollLeft);
+      const state = {
+        scrolledX: scrollLeft > 0,
+        // Sub-pixel scroll positions can stop just short of the maximum
+        scrolledEnd: scrollLeft >= maxScrollLeft - 1,
+      };
+      if (this._getScrollMode(table, container) === "container") {
+        state.rowsStuck = container.scrollTop > 0;
       }
-
-      const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
-      tables.forEach((table) => {
-        this._intersectionObserver.observe(table);
-      });
+      return state;
     } catch (error) {
-      console.error("TableFreezeController: Failed to initialize IntersectionObserver", error);
-      this._attachScrollListener();
+      console.error("TableFreezeController: Error reading scroll state", error);
+      return null;
     }
   }
 
   /**
-   * Initialize MutationObserver for dynamic content changes
+   * Get the floating scrollbar of a table, creating it on first use
    * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {HTMLElement} container - Scrolling container of the table
+   * @returns {Object|null} - Floating scrollbar handle, or null when the option is off
    */
-  _initMutationObserver() {
-    try {
-      this._mutationObserver = createMutationObserver(() => {
-        if (this._mutationRaf) return;
-        this._mutationRaf = requestAnimationFrame(() => {
-          this._mutationRaf = 0;
-          try {
-            this.applyAll();
-            this._syncObservers();
-          } catch (error) {
-            console.error("TableFreezeController: Error in MutationObserver", error);
-          }
-        });
-      });
-    } catch (error) {
-      console.error("TableFreezeController: Failed to initialize MutationObserver", error);
+  _getFloatingScrollbar(table, container) {
+    if (!this.options.floatingScrollbar) return null;
+    let scrollbar = this._floatingScrollbars.get(table);
+    if (!scrollbar) {
+      scrollbar = createFloatingScrollbar(container);
+      if (!scrollbar) return null;
+      this._floatingScrollbars.set(table, scrollbar);
     }
+    return scrollbar;
   }
 
   /**
-   * Sync ResizeObserver and IntersectionObserver with current tables
+   * Remove the floating scrollbar of a table
    * @private
+   * @param {HTMLTableElement} table - Table element
    */
-  _syncObservers() {
-    syncObservers(
-      this._observedTables,
-      this._resizeObserver,
-      this._intersectionObserver,
-      this._tablesInStickyZone
-    );
+  _removeFloatingScrollbar(table) {
+    const scrollbar = this._floatingScrollbars.get(table);
+    if (!scrollbar) return;
+    scrollbar.destroy();
+    this._floatingScrollbars.delete(table);
   }
 
   /**
@@ -199,6 +1273,9 @@ export default class TableFreezeController {
         this._tablesInStickyZone.add(table);
       } else {
         this._tablesInStickyZone.delete(table);
+        // handlePageScroll only visits tables in the sticky zone
+        const scrollbar = this._floatingScrollbars.get(table);
+        if (scrollbar) scrollbar.element.hidden = true;
       }
     });
 
@@ -208,7 +1285,47 @@ export default class TableFreezeController {
       this.handlePageScroll();
     } else {
       this._detachScrollListener();
+      // No frozen rows are stuck to the page any more
+      this._setRootScrollPadding(0, 0);
+    }
+  }
+
+  /**
+   * Set the scroll padding of the page scroll root when it changed
+   * The page keeps its own padding while no frozen rows are stuck
+   * @private
+   * @param {number} stuckTop - Height of the rows stuck below the sticky offset in pixels
+   * @param {number} stuckBottom - Height of the rows (and scrollbar) stuck above the bottom offset in pixels
+   */
+  _setRootScrollPadding(stuckTop, stuckBottom) {
+    if (stuckTop <= 0 && stuckBottom <= 0) {
+      if (this._rootScrollPadding) clearRootScrollPadding(this._getScrollElement());
+      this._rootScrollPadding = "";
+      return;
     }
+    const offsets = { top: this._stickyOffset, bottom: this.options.bottomOffset };
+    const key = `${offsets.top}|${offsets.bottom}|${stuckTop}|${stuckBottom}`;
+    if (key === this._rootScrollPadding) return;
+    this._rootScrollPadding = key;
+    setRootScrollPadding(this._getScrollElement(), offsets, { top: stuckTop, bottom: stuckBottom });
+  }
+
+  /**
+   * Get the element (or window) whose scroll events drive sticky positioning
+   * @private
+   * @returns {Element|Window} - Scroll event target
+   */
+  _getScrollTarget() {
+    return this._scrollRoot || window;
+  }
+
+  /**
+   * Get the element that scrolls the page (the scroll root or the document element)
+   * @private
+   * @returns {HTMLElement} - Scrolling element
+   */
+  _getScrollElement() {
+    return this._scrollRoot || document.scrollingElement || document.documentElement;
   }
 
   /**
@@ -217,7 +1334,7 @@ export default class TableFreezeController {
    */
   _attachScrollListener() {
     if (!this._scrollListenerAttached) {
-      window.addEventListener("scroll", this._onScroll, { passive: true });
+      this._getScrollTarget().addEventListener("scroll", this._onScroll, { passive: true });
       this._scrollListenerAttached = true;
     }
   }
@@ -228,7 +1345,7 @@ export default class TableFreezeController {
    */
   _detachScrollListener() {
     if (this._scrollListenerAttached) {
-      window.removeEventListener("scroll", this._onScroll);
+      this._getScrollTarget().removeEventListener("scroll", this._onScroll);
       this._scrollListenerAttached = false;
       
       if (this._scrollRaf) {
@@ -244,6 +1361,8 @@ export default class TableFreezeController {
    */
   refresh() {
     try {
+      // A manual refresh may follow changes the observers did not see
+      this._getTables().forEach((table) => invalidateCellMatrix(table));
       this.applyAll();
     } catch (error) {
       console.error("TableFreezeController: Error during refresh", error);
@@ -251,65 +1370,385 @@ export default class TableFreezeController {
   }
 
   /**
-   * Apply freeze styles to a single table
-   * @private
+   * Freeze a table programmatically, register it with the observers and apply immediately
+   * The data-col-freeze / data-row-freeze attributes are updated to match
+   * @public
    * @param {HTMLTableElement} table - Table element
+   * @param {TableFreezeConfig} [config] - Columns/rows to freeze (omitted keys keep their current value)
+   * @returns {boolean} - True if the freeze was applied
    */
-  applyFreezeToTable(table) {
+  freeze(table, config = {}) {
     try {
-      if (!isValidTable(table)) {
-        console.warn("TableFreezeController: Invalid or detached table");
-        return;
+      if (this._isDestroyed) {
+        console.warn("TableFreezeController: Cannot freeze with destroyed instance");
+        return false;
       }
-      
-      clearFreezeStyles(table);
-      const colFreeze = getFreezeCount(table, "data-col-freeze");
-      const rowFreeze = getFreezeCount(table, "data-row-freeze");
 
-      // Only set attributes if freeze values are greater than 0
-      if (colFreeze > 0) {
-        table.dataset.colFreeze = colFreeze;
-      } else {
-        delete table.dataset.colFreeze;
+      if (!isValidTable(table) || table.tagName !== "TABLE") {
+        console.warn("TableFreezeController: freeze() requires a table element attached to the document");
+        return false;
       }
-      
-      if (rowFreeze > 0) {
-        table.dataset.rowFreeze = rowFreeze;
-      } else {
-        delete table.dataset.rowFreeze;
+
+      // The apply below covers the new attributes; the observer must not apply the table again
+      const { cols, colsEnd, rows, rowsEnd } = config || {};
+      this._writeUnobserved(() => {
+        if (cols !== undefined) {
+          setFreezeCount(table, "data-col-freeze", cols);
+        }
+        if (colsEnd !== undefined) {
+          setFreezeCount(table, "data-col-freeze-end", colsEnd);
+        }
+        if (rows !== undefined) {
+          setFreezeCount(table, "data-row-freeze", rows);
+        }
+        if (rowsEnd !== undefined) {
+          setFreezeCount(table, "data-row-freeze-end", rowsEnd);
+        }
+      });
+
+      this._unfrozenTables.delete(table);
+      this._managedTables.add(table);
+      this._observeTable(table);
+      invalidateCellMatrix(table);
+      this.applyFreezeToTable(table);
+      return true;
+    } catch (error) {
+      console.error("TableFreezeController: Error freezing table", error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove freezing from a table and stop tracking it
+   * The table stays unfrozen until the next freeze() call, even if its markup still asks
+   * for frozen columns (data-freeze cells, breakpoint attributes or data-freeze-breakpoints)
+   * @public
+   * @param {HTMLTableElement} table - Table element
+   * @returns {boolean} - True if the table was unfrozen
+   */
+  unfreeze(table) {
+    try {
+      if (!table || table.tagName !== "TABLE") {
+        console.warn("TableFreezeController: unfreeze() requires a table element");
+        return false;
+      }
+
+      const wasFrozen = this._activeConfigs.has(table);
+      this._clearTable(table);
+      invalidateCellMatrix(table);
+      if (wasFrozen && this._liveRegion) {
+        this._liveRegion.announce(describeFreeze(table, null));
+      }
+      this._untrackScrollState(table);
+      this._writeUnobserved(() => {
+        setFreezeCount(table, "data-col-freeze", 0);
+        setFreezeCount(table, "data-col-freeze-end", 0);
+        setFreezeCount(table, "data-row-freeze", 0);
+        setFreezeCount(table, "data-row-freeze-end", 0);
+      });
+
+      this._managedTables.delete(table);
+      this._unfrozenTables.add(table);
+      // A resize queued before this call must not freeze the table from its breakpoints again
+      this._pendingResizeTables.delete(table);
+      this._unobserveTable(table);
+      return true;
+    } catch (error) {
+      console.error("TableFreezeController: Error unfreezing table", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the current freeze configuration of a table
+   * @public
+   * @param {HTMLTableElement} table - Table element
+   * @returns {{cols: number, colsEnd: number, rows: number, rowsEnd: number}|null} - Frozen counts, or null for a non-table
+   */
+  getFreeze(table) {
+    if (!table || table.tagName !== "TABLE") return null;
+    return {
+      cols: getFreezeCount(table, "data-col-freeze"),
+      colsEnd: getFreezeCount(table, "data-col-freeze-end"),
+      rows: getFreezeCount(table, "data-row-freeze"),
+      rowsEnd: getFreezeCount(table, "data-row-freeze-end"),
+    };
+  }
+
+  /**
+   * Get the freeze configuration currently applied to a table, after breakpoints and the size guard
+   * @public
+   * @param {HTMLTableElement} table - Table element
+   * @returns {{columns: number[], colsEnd: number, rows: number, rowsEnd: number, reduced: boolean}|null}
+   *   - Frozen column indexes and counts, or null for a table this controller has not frozen
+   */
+  getActiveFreeze(table) {
+    const active = this._activeConfigs.get(table);
+    if (!active) return null;
+    return {
+      columns: active.frozenColumns.slice(),
+      colsEnd: active.colFreezeEnd,
+      rows: active.rowFreeze,
+      rowsEnd: active.rowFreezeEnd,
+      reduced: Boolean(active.reduced),
+    };
+  }
+
+  /**
+   * Scroll a cell fully into view outside the frozen columns, frozen rows and sticky offset
+   * The table container scrolls horizontally (and vertically in container scroll mode), then
+   * the page scrolls vertically; cells inside the frozen area only scroll on the axes they move on
+   * @public
+   * @param {HTMLTableCellElement} cell - Cell of a frozen table
+   * @returns {boolean} - True if the cell was revealed
+   */
+  scrollCellIntoView(cell) {
+    try {
+      const table = cell && cell.closest ? cell.closest("table") : null;
+      const active = table ? this._activeConfigs.get(table) : null;
+      const insets = table ? this._frozenInsets.get(table) : null;
+      const { rows, cellInfo, maxCol } = active ? getCellMatrix(table) : {};
+      const info = cellInfo ? cellInfo.get(cell) : null;
+      if (!info || !insets) {
+        console.warn("TableFreezeController: scrollCellIntoView needs a cell of a frozen table");
+        return false;
+      }
+
+      const frozen = getFrozenAxes(info, active, maxCol, rows.length);
+      const container = getTableContainer(table);
+      const isContainerMode = this._getScrollMode(table, container) === "container";
+
+      if (container) {
+        const bounds = container.getBoundingClientRect();
+        const left = bounds.left + container.clientLeft;
+        const top = bounds.top + container.clientTop;
+        const rtl = table.classList.contains(RTL_CLASS);
+        const cellRect = cell.getBoundingClientRect();
+        if (!frozen.inline) {
+          container.scrollLeft += getRevealDelta(
+            cellRect.left,
+            cellRect.right,
+            left + (rtl ? insets.end : insets.start),
+            left + container.clientWidth - (rtl ? insets.start : insets.end)
+          );
+        }
+        if (isContainerMode && !frozen.block) {
+          container.scrollTop += getRevealDelta(
+            cellRect.top,
+            cellRect.bottom,
+            top + insets.top,
+            top + container.clientHeight - insets.bottom
+          );
+        }
       }
 
-      applyRowFreeze(table, rowFreeze, colFreeze);
-      applyColumnFreeze(table, colFreeze);
-      applyCornerPriority(table, colFreeze);
+      // Page rows stick below the sticky offset; rows of a scrolling container move with it
+      const rootBounds = getScrollRootBounds(this._scrollRoot);
+      const stickyOffset = rootBounds.top + this._updateStickyOffset(rootBounds.top);
+      const rowInsets = isContainerMode || frozen.block ? { top: 0, bottom: 0 } : insets;
+      const cellRect = cell.getBoundingClientRect();
+      const delta = getRevealDelta(
+        cellRect.top,
+        cellRect.bottom,
+        stickyOffset + rowInsets.top,
+        rootBounds.bottom - this.options.bottomOffset - rowInsets.bottom
+      );
+      if (delta !== 0) {
+        if (this._scrollRoot) {
+          this._scrollRoot.scrollTop += delta;
+        } else {
+          window.scrollBy(0, delta);
+        }
+      }
+      return true;
     } catch (error) {
-      console.error("TableFreezeController: Error applying freeze to table", error);
+      console.error("TableFreezeController: Error scrolling cell into view", error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply freeze styles to a single table
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   */
+  applyFreezeToTable(table) {
+    if (!isValidTable(table)) {
+      console.warn("TableFreezeController: Invalid or detached table");
+      return;
     }
+    this._applyTables([table]);
   }
 
   /**
    * Apply freeze styles to all .freeze-table and .editor360-table elements
+   * and to tables registered through freeze()
    */
   applyAll() {
     try {
-      const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
-      tables.forEach((table) => this.applyFreezeToTable(table));
+      this._applyTables(this._getTables());
     } catch (error) {
       console.error("TableFreezeController: Error applying freeze to all tables", error);
     }
   }
 
+  /**
+   * Apply freeze styles to several tables in separate phases so layout is computed once:
+   * measure every table, then write styles to every table, then read the settled layout
+   * (layout keys, scroll state) and finally toggle the scroll-state classes
+   * A relayout (size change only) of a stylesheet-rendered table just rebuilds its stylesheet
+   * @private
+   * @param {HTMLTableElement[]} tables - Tables to apply
+   * @param {{relayout?: boolean}} [options] - Set relayout when only the geometry changed
+   */
+  _applyTables(tables, { relayout = false } = {}) {
+    // Printing shows tables unfrozen; afterprint re-applies every table
+    if (tables.length === 0 || this._isPrinting) return;
+    const start = performance.now();
+
+    // Measure phase: attribute, computed style and geometry reads only
+    const plans = [];
+    // Inline offsets are restored by clearFreezeStyles; stylesheet offsets stay in their own sheet
+    const keepsInlineOffsets = !this._isStylesheetMode();
+    tables.forEach((table) => {
+      try {
+        if (!isValidTable(table)) return;
+        const config = this._getFreezeConfig(table);
+        const container = getTableContainer(table);
+        // Re-detect the scroll mode on every layout change (container height may have changed)
+        const scrollMode = getScrollMode(table, container, this.options.scrollMode);
+        const { active, measured, insets } = this._measureActiveConfig(table, container, scrollMode);
+        plans.push({
+          table,
+          config,
+          active,
+          container,
+          scrollMode,
+          measured,
+          insets,
+          containerPadding: container ? getContainerScrollPadding(container, insets, scrollMode === "container") : null,
+          // Page offsets mean nothing once rows stick inside the container; handlePageScroll skips those tables
+          scrollTop: scrollMode === "page" && keepsInlineOffsets ? table.style.getPropertyValue(SCROLL_TOP_PROPERTY) : "",
+          scrollBottom: scrollMode === "page" && keepsInlineOffsets ? table.style.getPropertyValue(SCROLL_BOTTOM_PROPERTY) : "",
+        });
+      } catch (error) {
+        console.error("TableFreezeController: Error measuring table", error);
+      }
+    });
+    const measuredAt = performance.now();
+
+    // Mutate phase: style and attribute writes only
+    const announcements = [];
+    plans.forEach(({ table, config, active, container, scrollMode, measured, insets, containerPadding, scrollTop, scrollBottom }) => {
+      try {
+        // Attributes keep the configured counts; cells get the active (responsive) ones
+        const { colFreezeEnd, rowFreeze, rowFreezeEnd, frozenColumns } = active;
+        const stylesheet = this._isStylesheetMode();
+        const sameScrollMode = this._scrollModes.get(table) === scrollMode;
+        this._scrollModes.set(table, scrollMode);
+        this._observeContainer(table, container);
+        setFreezeDirection(table, measured.rtl);
+
+        // Cell markup from the last full pass still holds (including background attributes
+        // while the colors, the active configuration and the scroll mode are unchanged); swap the
+        // stylesheet text only
+        const backgroundKey = this._getBackgroundKey(measured);
+        const sameBackgrounds = this._backgroundKeys.get(table) === backgroundKey;
+        const previous = this._activeConfigs.get(table);
+        const sameConfig = Boolean(previous) && this._getConfigKey(previous) === this._getConfigKey(active);
+        this._backgroundKeys.set(table, backgroundKey);
+        this._activeConfigs.set(table, active);
+        this._frozenInsets.set(table, insets);
+        // The first pass is the page's initial state; only later changes are announced
+        if (previous && !sameConfig) announcements.push(describeFreeze(table, active));
+        if (relayout && stylesheet && sameBackgrounds && sameConfig && sameScrollMode && hasFreezeStylesheet(table)) {
+          const writer = createStylesheetWriter(table, { relayout: true });
+          applyRowFreeze(table, rowFreeze, frozenColumns, colFreezeEnd, measured, writer);
+          applyRowFreezeEnd(table, rowFreezeEnd, rowFreeze, frozenColumns, colFreezeEnd, measured, writer);
+          applyColumnFreeze(table, frozenColumns, measured, writer);
+          applyColumnFreezeEnd(table, colFreezeEnd, frozenColumns, measured, writer);
+          applyFreezeBackgrounds(table, measured, writer);
+          if (container) applyContainerScrollPadding(table, container, containerPadding, writer);
+          writer.commit();
+          return;
+        }
+
+        clearFreezeStyles(table);
+        // Stylesheet offsets outlive the pass; rows stick inside a scrolling container without them
+        if (scrollMode !== "page") clearStylesheetScrollOffsets(table);
+
+        // Keep rows stuck where the last scroll put them until the next scroll update
+        if (scrollTop) setFreezeInlineStyle(table, table, SCROLL_TOP_PROPERTY, scrollTop);
+        if (scrollBottom) setFreezeInlineStyle(table, table, SCROLL_BOTTOM_PROPERTY, scrollBottom);
+
+        // Only keep attributes if freeze values are greater than 0
+        setFreezeCount(table, "data-col-freeze", config.colFreeze);
+        setFreezeCount(table, "data-col-freeze-end", config.colFreezeEnd);
+        setFreezeCount(table, "data-row-freeze", config.rowFreeze);
+        setFreezeCount(table, "data-row-freeze-end", config.rowFreezeEnd);
+
+        const writer = stylesheet ? createStylesheetWriter(table) : null;
+        applyRowFreeze(table, rowFreeze, frozenColumns, colFreezeEnd, measured, writer);
+        applyRowFreezeEnd(table, rowFreezeEnd, rowFreeze, frozenColumns, colFreezeEnd, measured, writer);
+        applyColumnFreeze(table, frozenColumns, measured, writer);
+        applyColumnFreezeEnd(table, colFreezeEnd, frozenColumns, measured, writer);
+        applyFreezeBackgrounds(table, measured, writer);
+        applyCornerPriority(table, frozenColumns, colFreezeEnd);
+        if (container) applyContainerScrollPadding(table, container, containerPadding, writer);
+        if (writer) writer.commit();
+        annotateFrozenTable(table, container, active);
+
+        if (container) {
+          this._trackScrollState(table, container);
+        }
+      } catch (error) {
+        console.error("TableFreezeController: Error applying freeze to table", error);
+      }
+    });
+    if (this._liveRegion && announcements.length > 0) {
+      this._liveRegion.announce(announcements.join(". "));
+    }
+    const mutatedAt = performance.now();
+
+    // Settle phase: one layout for all tables, then class toggles that do not affect it
+    const states = plans.map(({ table }) => {
+      this._layoutKeys.set(table, this._getLayoutKey(table));
+      return this._readScrollState(table);
+    });
+    plans.forEach(({ table }, index) => {
+      if (states[index]) setScrollState(table, states[index]);
+    });
+
+    if (this.options.debug) {
+      const end = performance.now();
+      console.info(
+        `TableFreezeController: Applied ${plans.length} table(s) in ${(end - start).toFixed(1)}ms ` +
+        `(measure ${(measuredAt - start).toFixed(1)}ms, mutate ${(mutatedAt - measuredAt).toFixed(1)}ms, ` +
+        `settle ${(end - mutatedAt).toFixed(1)}ms)`
+      );
+    }
+  }
+
   /**
    * Handle page scroll for sticky positioning
+   * Row offsets are measured when freezing is applied; scrolling only reads each table's
+   * position and updates its --freeze-scroll-top/--freeze-scroll-bottom properties
+   * Tables in container scroll mode are skipped: their rows stick inside the container
    */
   handlePageScroll() {
+    if (this._isPrinting) return;
     try {
       const tables = this._tablesInStickyZone.size > 0
         ? Array.from(this._tablesInStickyZone)
-        : document.querySelectorAll("table.freeze-table, table.editor360-table");
-      
-      const stickyOffset = getStickyOffset(this.options.offsetSelector);
+        : this._getTables();
+
+      // Sticky line and bottom edge in viewport coordinates, relative to the scroll root
+      const rootBounds = getScrollRootBounds(this._scrollRoot);
+      const offset = this._updateStickyOffset(rootBounds.top);
+      const stickyOffset = rootBounds.top + offset;
 
+      // Read pass: geometry of every table before any write
+      const updates = [];
       tables.forEach((table) => {
         try {
           if (!document.contains(table)) {
@@ -317,58 +1756,97 @@ export default class TableFreezeController {
             return;
           }
 
-          const container = table.closest(".table-content, [data-type='table-content']");
+          const container = getTableContainer(table);
           if (!container) return;
 
-          const thead = table.tHead;
-          const tbody = table.tBodies[0];
-          
-          // Only proceed if there's either thead or tbody
-          if (!thead && !tbody) return;
+          // Proxy scrollbar first: frozen footer rows are lifted above it
+          const viewportBottom = rootBounds.bottom - this.options.bottomOffset;
+          const scrollbar = this._getFloatingScrollbar(table, container);
+          const update = {
+            table,
+            scrollbar,
+            scrollbarState: scrollbar ? scrollbar.measure(viewportBottom) : null,
+            stickyTop: null,
+            stickyBottom: null,
+            paddingTop: 0,
+            paddingBottom: 0,
+          };
+          updates.push(update);
+
+          // Rows of a self-scrolling container stick natively to its top/bottom edges
+          if (this._getScrollMode(table, container) === "container") return;
 
           const containerRect = container.getBoundingClientRect();
           const tableRect = table.getBoundingClientRect();
-          const rowFreeze = getFreezeCount(table, "data-row-freeze");
+          const { rowFreeze, rowFreezeEnd } = this._getActiveConfig(table);
 
           const isInStickyZone = containerRect.top <= stickyOffset && containerRect.bottom > stickyOffset;
+          update.stickyTop = isInStickyZone && rowFreeze > 0
+            ? Math.max(0, stickyOffset - tableRect.top)
+            : 0;
+          const insets = this._frozenInsets.get(table);
+          if (isInStickyZone && insets) update.paddingTop = insets.top;
 
-          if (isInStickyZone && rowFreeze > 0) {
-            const stickyTop = Math.max(0, stickyOffset - tableRect.top);
-            
-            // Get all rows that should be frozen
-            const allRows = [];
-            if (thead) {
-              allRows.push(...Array.from(thead.rows));
-            }
-            if (tbody) {
-              allRows.push(...Array.from(tbody.rows).slice(0, rowFreeze));
-            }
+          // Lift frozen footer rows while the table bottom is below the viewport bottom
+          if (rowFreezeEnd > 0) {
+            const scrollbarHeight = update.scrollbarState ? update.scrollbarState.height : 0;
+            const footerBottom = viewportBottom - scrollbarHeight;
+            const isFooterInStickyZone = containerRect.top < footerBottom && containerRect.bottom > footerBottom;
+            update.stickyBottom = isFooterInStickyZone ? Math.max(0, tableRect.bottom - footerBottom) : 0;
+            if (isFooterInStickyZone && insets) update.paddingBottom = scrollbarHeight + insets.bottom;
+          }
+        } catch (error) {
+          console.error("TableFreezeController: Error handling scroll for table", error);
+        }
+      });
 
-            let topAcc = stickyTop;
-            for (let i = 0; i < allRows.length; i++) {
-              const row = allRows[i];
-              const rowHeight = row.getBoundingClientRect().height;
-              Array.from(row.cells).forEach((cell) => {
-                // Only update cells that have sticky positioning (frozen cells)
-                if (cell.style.position === "sticky" && cell.style.top !== "") {
-                  cell.style.top = `${topAcc}px`;
-                }
-              });
-              topAcc += rowHeight;
-            }
-          } else {
-            const colFreeze = getFreezeCount(table, "data-col-freeze");
-            applyRowFreeze(table, rowFreeze, colFreeze);
+      // Write pass: one custom property per table moves all of its frozen rows
+      let scrollbarShown = false;
+      updates.forEach(({ table, scrollbar, scrollbarState, stickyTop, stickyBottom }) => {
+        try {
+          if (scrollbar && scrollbar.render(scrollbarState)) {
+            scrollbarShown = true;
+          }
+          if (stickyTop !== null) {
+            this._setScrollOffset(table, SCROLL_TOP_PROPERTY, stickyTop);
+            setScrollState(table, { rowsStuck: stickyTop > 0 });
+          }
+          if (stickyBottom !== null) {
+            this._setScrollOffset(table, SCROLL_BOTTOM_PROPERTY, stickyBottom);
           }
         } catch (error) {
           console.error("TableFreezeController: Error handling scroll for table", error);
         }
       });
+
+      // Focus scrolling of the page stops below the app bar and the rows stuck to it
+      this._setRootScrollPadding(
+        Math.max(0, ...updates.map((update) => update.paddingTop)),
+        Math.max(0, ...updates.map((update) => update.paddingBottom))
+      );
+
+      // A proxy scrollbar shown just now had no height to lift the footer rows by
+      if (scrollbarShown) this.handlePageScroll();
     } catch (error) {
       console.error("TableFreezeController: Error during page scroll handling", error);
     }
   }
 
+  /**
+   * Move the stuck rows of a table by a scroll offset in the current render mode
+   * @private
+   * @param {HTMLTableElement} table - Table element
+   * @param {string} property - SCROLL_TOP_PROPERTY or SCROLL_BOTTOM_PROPERTY
+   * @param {number} offset - Offset in pixels
+   */
+  _setScrollOffset(table, property, offset) {
+    if (this._isStylesheetMode()) {
+      setStylesheetScrollOffset(table, property, offset);
+    } else {
+      setFreezeScrollOffset(table, property, offset);
+    }
+  }
+
   /**
    * Handle window resize events
    * @private
@@ -377,8 +1855,9 @@ export default class TableFreezeController {
     if (this._refreshRaf) cancelAnimationFrame(this._refreshRaf);
     this._refreshRaf = requestAnimationFrame(() => {
       this._refreshRaf = 0;
+      this._pendingResizeTables.clear();
       try {
-        this.applyAll();
+        this._applyTables(this._getTables(), { relayout: true });
         this.handlePageScroll();
       } catch (error) {
         console.error("TableFreezeController: Error in resize handler", error);
@@ -387,7 +1866,7 @@ export default class TableFreezeController {
   }
 
   /**
-   * Handle window scroll events
+   * Handle scroll events of the window or scroll root
    * @private
    */
   _onScroll() {
@@ -428,10 +1907,39 @@ export default class TableFreezeController {
         this._mutationRaf = 0;
       }
 
+      if (this._scrollStateRaf) {
+        cancelAnimationFrame(this._scrollStateRaf);
+        this._scrollStateRaf = 0;
+      }
+
+      if (this._themeRaf) {
+        cancelAnimationFrame(this._themeRaf);
+        this._themeRaf = 0;
+      }
+
+      if (this._hashRaf) {
+        cancelAnimationFrame(this._hashRaf);
+        this._hashRaf = 0;
+      }
+
+      if (this._clearTargetHighlight) {
+        this._clearTargetHighlight();
+        this._clearTargetHighlight = null;
+      }
+
+      if (this._liveRegion) {
+        this._liveRegion.destroy();
+        this._liveRegion = null;
+      }
+
       // Remove event listeners
       window.removeEventListener("resize", this._onResize);
-      window.removeEventListener("scroll", this._onScroll);
+      this._removePrintListeners();
+      window.removeEventListener("hashchange", this._onHashChange);
+      this._setRootScrollPadding(0, 0);
+      this._getScrollTarget().removeEventListener("scroll", this._onScroll);
       this._scrollListenerAttached = false;
+      this._scrollRoot = null;
 
       // Disconnect and cleanup observers
       if (this._resizeObserver) {
@@ -444,19 +1952,45 @@ export default class TableFreezeController {
         this._intersectionObserver = null;
       }
 
+      if (this._offsetObserver) {
+        this._offsetObserver.disconnect();
+        this._offsetObserver = null;
+      }
+      this._offsetElements.clear();
+
+      this._floatingScrollbars.forEach((scrollbar) => scrollbar.destroy());
+      this._floatingScrollbars.clear();
+
+      this._scrollStateListeners.forEach((_, table) => this._untrackScrollState(table));
+
       if (this._mutationObserver) {
         this._mutationObserver.disconnect();
         this._mutationObserver = null;
       }
 
+      if (this._themeObserver) {
+        this._themeObserver.disconnect();
+        this._themeObserver = null;
+      }
+
+      // Rows moved for printing go back before the tables are released
+      this._restorePrintLayout();
+      this._isPrinting = false;
+
+      // Remove freeze styles from all tables (before forgetting registered ones)
+      const tables = this._getTables();
+      tables.forEach((table) => this._clearTable(table));
+
       // Clear tracking collections
+      this._pendingAttributeTables.clear();
+      this._pendingRowChanges.clear();
+      this._pendingResizeTables.clear();
       this._observedTables.clear();
+      this._observedContainers.clear();
+      this._managedTables.clear();
+      this._unfrozenTables.clear();
       this._tablesInStickyZone.clear();
 
-      // Remove freeze styles from all tables
-      const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
-      tables.forEach((table) => clearFreezeStyles(table));
-
       // Reset initialization flag
       this._isInitialized = false;
     } catch (error) {
@@ -0,0 +1,271 @@
+/**
+ * Accessibility Annotations for Frozen Tables
+ * @module utils/accessibility
+ */
+
+import { getHeaderRows, hasFreezeClasses } from './dom-helpers.js';
+import { getCellMatrix } from './span-helpers.js';
+
+/**
+ * Attributes the controller added, by table, then by element
+ * Only these are ever changed or removed again; attributes the page set are left alone
+ * @type {WeakMap<HTMLTableElement, Map<Element, Set<string>>>}
+ */
+const annotations = new WeakMap();
+
+/**
+ * Attributes that name an element; a name the page gave the container is never overridden
+ * @type {string[]}
+ */
+const NAME_ATTRIBUTES = ["aria-label", "aria-labelledby"];
+
+/**
+ * Cell attribute values the controller sets, by attribute name
+ * @type {Object<string, string[]>}
+ */
+const CELL_ANNOTATIONS = {
+  scope: ["col", "colgroup", "row", "rowgroup"],
+  role: ["columnheader"],
+};
+
+/**
+ * Get the accessible name source of a table: its caption, else its own label
+ * @param {HTMLTableElement} table - Table element
+ * @returns {{labelledBy: string|null, label: string|null}} - Id to reference or text to use
+ */
+function getTableName(table) {
+  const caption = table.caption;
+  if (caption && caption.textContent.trim()) {
+    return caption.id
+      ? { labelledBy: caption.id, label: null }
+      : { labelledBy: null, label: caption.textContent.trim().replace(/\s+/g, " ") };
+  }
+  if (table.getAttribute("aria-labelledby")) {
+    return { labelledBy: table.getAttribute("aria-labelledby"), label: null };
+  }
+  return { labelledBy: null, label: table.getAttribute("aria-label") || null };
+}
+
+/**
+ * Get a short human-readable name of a table for announcements
+ * @param {HTMLTableElement} table - Table element
+ * @returns {string} - Caption or label text, "Table" when the table has none
+ */
+export function getTableLabel(table) {
+  const { labelledBy, label } = getTableName(table);
+  if (label) return label;
+  const labels = (labelledBy || "").split(/\s+/).map((id) => document.getElementById(id)).filter(Boolean);
+  const text = labels.map((element) => element.textContent.trim()).join(" ");
+  return text || "Table";
+}
+
+/**
+ * Collect the attributes a frozen table and its container should carry
+ * - the container becomes a named, keyboard-focusable region so it can be scrolled with arrow keys
+ * - <th> cells of frozen top rows get scope="col" (or "colgroup" when spanning columns)
+ * - <td> cells of frozen header rows (see getHeaderRows) get role="columnheader"
+ * - <th> cells of frozen columns in other body rows get scope="row" (or "rowgroup" when spanning rows)
+ * @param {HTMLTableElement} table - Table element
+ * @param {HTMLElement|null} container - Table container
+ * @param {{frozenColumns: number[], colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}} config - Active freeze configuration
+ * @returns {Map<Element, Map<string, string>>} - Attribute values by element
+ */
+function getAnnotations(table, container, { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd }) {
+  const wanted = new Map();
+  const want = (element, name, value) => {
+    if (!wanted.has(element)) wanted.set(element, new Map());
+    wanted.get(element).set(name, value);
+  };
+
+  const hasColumns = frozenColumns.length > 0 || colFreezeEnd > 0;
+  if (!hasColumns && rowFreeze <= 0 && rowFreezeEnd <= 0) return wanted;
+
+  if (container) {
+    want(container, "tabindex", "0");
+    const { labelledBy, label } = getTableName(table);
+    if (labelledBy || label) {
+      want(container, "role", "region");
+      if (labelledBy) want(container, "aria-labelledby", labelledBy);
+      else want(container, "aria-label", label);
+    }
+  }
+
+  const { rows, cellInfo, maxCol } = getCellMatrix(table);
+  const frozenRows = new Set(rows.slice(0, rowFreeze));
+  const headerRows = new Set(getHeaderRows(table));
+  const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+  const endStartCol = colFreezeEnd > 0 ? Math.max(lastFrozenCol + 1, maxCol - colFreezeEnd) : maxCol;
+
+  rows.forEach((row) => {
+    Array.from(row.cells).forEach((cell) => {
+      const info = cellInfo.get(cell);
+      if (!info) return;
+      if (frozenRows.has(row)) {
+        if (cell.tagName === "TH") {
+          want(cell, "scope", info.colspan > 1 ? "colgroup" : "col");
+        } else if (headerRows.has(row)) {
+          want(cell, "role", "columnheader");
+        }
+      } else if (
+        cell.tagName === "TH" &&
+        !headerRows.has(row) &&
+        row.parentElement.tagName !== "THEAD" &&
+        (frozenColumns.includes(info.col) || info.col >= endStartCol)
+      ) {
+        want(cell, "scope", info.rowspan > 1 ? "rowgroup" : "row");
+      }
+    });
+  });
+  return wanted;
+}
+
+/**
+ * Bring the accessibility attributes of a frozen table in line with its active configuration
+ * Attributes the page already set are kept; ones added for an earlier configuration that no
+ * longer apply are removed
+ * @param {HTMLTableElement} table - Table element
+ * @param {HTMLElement|null} container - Table container
+ * @param {Object} config - Active freeze configuration
+ */
+export function annotateFrozenTable(table, container, config) {
+  try {
+    const wanted = getAnnotations(table, container, config);
+    const added = annotations.get(table) || new Map();
+
+    added.forEach((names, element) => {
+      names.forEach((name) => {
+        if (wanted.has(element) && wanted.get(element).has(name)) return;
+        element.removeAttribute(name);
+        names.delete(name);
+      });
+      if (names.size === 0) added.delete(element);
+    });
+
+    wanted.forEach((values, element) => {
+      values.forEach((value, name) => {
+        const names = added.get(element);
+        const isOwn = (attr) => Boolean(names && names.has(attr));
+        if (!isOwn(name) && element.hasAttribute(name)) return;
+        if (
+          NAME_ATTRIBUTES.includes(name) &&
+          NAME_ATTRIBUTES.some((attr) => !isOwn(attr) && element.hasAttribute(attr))
+        ) return;
+        if (element.getAttribute(name) !== value) element.setAttribute(name, value);
+        if (!names) added.set(element, new Set([name]));
+        else names.add(name);
+      });
+    });
+
+    if (added.size > 0) annotations.set(table, added);
+    else annotations.delete(table);
+  } catch (error) {
+    console.error("Accessibility: Error annotating frozen table", error);
+  }
+}
+
+/**
+ * Remove every accessibility attribute the controller added to a table and its container
+ * @param {HTMLTableElement} table - Table element
+ */
+export function clearTableAnnotations(table) {
+  try {
+    const added = annotations.get(table);
+    if (!added) return;
+    added.forEach((names, element) => names.forEach((name) => element.removeAttribute(name)));
+    annotations.delete(table);
+  } catch (error) {
+    console.error("Accessibility: Error clearing annotations", error);
+  }
+}
+
+/**
+ * Remove annotations copied along with rows cloned from a frozen table
+ * Cells still carrying freeze classes before they are styled are copies of frozen cells;
+ * their scope/role values came from the controller but are not tracked, so destroy()
+ * would leave them behind. Call before the rows are styled
+ * @param {HTMLTableRowElement[]} rows - Rows added to the table
+ */
+export function clearCopiedAnnotations(rows) {
+  try {
+    rows.forEach((row) => {
+      Array.from(row.cells).filter(hasFreezeClasses).forEach((cell) => {
+        Object.keys(CELL_ANNOTATIONS).forEach((name) => {
+          if (CELL_ANNOTATIONS[name].includes(cell.getAttribute(name))) cell.removeAttribute(name);
+        });
+      });
+    });
+  } catch (error) {
+    console.error("Accessibility: Error clearing copied annotations", error);
+  }
+}
+
+/**
+ * Describe the frozen area of a table for a screen reader announcement
+ * @param {HTMLTableElement} table - Table element
+ * @param {{frozenColumns: number[], colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}|null} config - Active configuration (null when unfrozen)
+ * @returns {string} - Message, e.g. "Sales: 2 columns and 1 row frozen"
+ */
+export function describeFreeze(table, config) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+  const columns = config ? config.frozenColumns.length + config.colFreezeEnd : 0;
+  const rows = config ? config.rowFreeze + config.rowFreezeEnd : 0;
+  const parts = [];
+  if (columns > 0) parts.push(plural(columns, "column"));
+  if (rows > 0) parts.push(plural(rows, "row"));
+  const summary = parts.length > 0 ? `${parts.join(" and ")} frozen` : "no rows or columns frozen";
+  return `${getTableLabel(table)}: ${summary}`;
+}
+
+/**
+ * Create a visually hidden polite live region for freeze announcements
+ * @returns {{element: HTMLElement, announce: Function, destroy: Function}|null} - Live region handle
+ */
+export function createLiveRegion() {
+  try {
+    const element = document.createElement("div");
+    element.className = "freeze-live-region";
+    element.setAttribute("role", "status");
+    element.setAttribute("aria-live", "polite");
+    element.setAttribute("aria-atomic", "true");
+    Object.assign(element.style, {
+      position: "absolute",
+      width: "1px",
+      height: "1px",
+      margin: "-1px",
+      padding: "0",
+      overflow: "hidden",
+      clip: "rect(0, 0, 0, 0)",
+      whiteSpace: "nowrap",
+      border: "0",
+    });
+    document.body.appendChild(element);
+
+    let raf = 0;
+
+    /**
+     * Announce a message; the text is replaced a frame later so a repeated message is read again
+     * @param {string} message - Message text
+     */
+    const announce = (message) => {
+      element.textContent = "";
+      if (raf) cancelAnimationFrame(raf);
+      raf = requestAnimationFrame(() => {
+        raf = 0;
+        element.textContent = message;
+      });
+    };
+
+    /**
+     * Remove the live region
+     */
+    const destroy = () => {
+      if (raf) cancelAnimationFrame(raf);
+      element.remove();
+    };
+
+    return { element, announce, destroy };
+  } catch (error) {
+    console.error("Accessibility: Error creating live region", error);
+    return null;
+  }
+}
@@ -3,26 +3,133 @@
  * @module utils/dom-helpers
  */
 
+import { FREEZE_SIDE_ATTRIBUTES, BACKGROUND_ATTRIBUTE, CELL_BACKGROUND_PROPERTY } from './freeze-stylesheet.js';
+
+/**
+ * Selector for tables that are frozen automatically from their markup
+ * @type {string}
+ */
+export const TABLE_SELECTOR = "table.freeze-table, table.editor360-table";
+
+/**
+ * Selector for the scrolling wrapper around a freeze table
+ * @type {string}
+ */
+export const CONTAINER_SELECTOR = ".table-content, [data-type='table-content']";
+
 /**
- * Get sticky offset from configured element
- * @param {string} offsetSelector - CSS selector for offset element
- * @returns {number} - Height of offset element in pixels
+ * Get all tables the controller should manage
+ * @param {Iterable<HTMLTableElement>} [extraTables] - Tables registered programmatically
+ * @returns {HTMLTableElement[]} - Matching tables followed by attached extra tables
  */
-export function getStickyOffset(offsetSelector) {
+export function queryFreezeTables(extraTables = []) {
   try {
-    if (offsetSelector) {
-      const el = document.querySelector(offsetSelector);
-      if (el) {
-        const height = el.offsetHeight || 0;
-        return Math.max(0, height);
+    const tables = Array.from(document.querySelectorAll(TABLE_SELECTOR));
+    const seen = new Set(tables);
+    for (const table of extraTables) {
+      if (!seen.has(table) && document.contains(table)) {
+        tables.push(table);
+        seen.add(table);
       }
     }
+    return tables;
+  } catch (error) {
+    console.error("DOM Helper: Error querying freeze tables", error);
+    return [];
+  }
+}
+
+/**
+ * Resolve the configured offset source to the elements it refers to
+ * @param {string|Array<string|Element>|Function} offsetSelector - Selector list, array of selectors/elements or function
+ * @returns {Element[]} - Offset elements (empty for a function source)
+ */
+export function getOffsetElements(offsetSelector) {
+  try {
+    if (!offsetSelector || typeof offsetSelector === "function") return [];
+    const sources = Array.isArray(offsetSelector) ? offsetSelector : [offsetSelector];
+    const elements = [];
+    sources.forEach((source) => {
+      if (typeof source === "string") {
+        elements.push(...Array.from(document.querySelectorAll(source)));
+      } else if (source && source.nodeType === 1) {
+        elements.push(source);
+      }
+    });
+    return Array.from(new Set(elements));
+  } catch (error) {
+    console.error("DOM Helper: Error resolving offset elements", error);
+    return [];
+  }
+}
+
+/**
+ * Get sticky offset from the configured offset source
+ * For elements this is the lowest visible bottom edge below the scroll root top, so
+ * headers that collapse, slide away or stack with banners are tracked
+ * @param {string|Array<string|Element>|Function} offsetSelector - Selector list, array of selectors/elements or function returning pixels
+ * @param {number} [rootTop=0] - Top edge of the scroll root in viewport coordinates
+ * @returns {number} - Offset in pixels below the scroll root top
+ */
+export function getStickyOffset(offsetSelector, rootTop = 0) {
+  try {
+    if (typeof offsetSelector === "function") {
+      const value = Number(offsetSelector());
+      return Number.isFinite(value) ? Math.max(0, value) : 0;
+    }
+
+    let offset = 0;
+    getOffsetElements(offsetSelector).forEach((el) => {
+      const rect = el.getBoundingClientRect();
+      // Hidden elements (display: none) have an empty rect and add nothing
+      if (rect.width === 0 && rect.height === 0) return;
+      offset = Math.max(offset, rect.bottom - rootTop);
+    });
+    return Math.max(0, Math.round(offset));
   } catch (error) {
     console.error("DOM Helper: Error getting sticky offset", error);
   }
   return 0;
 }
 
+/**
+ * Resolve the scroll root option to an element
+ * @param {Element|string|null} scrollRoot - Element or CSS selector (empty for the window)
+ * @returns {Element|null} - Scroll root element, or null to use the window
+ */
+export function resolveScrollRoot(scrollRoot) {
+  try {
+    if (!scrollRoot) return null;
+    if (typeof scrollRoot === "string") {
+      return document.querySelector(scrollRoot);
+    }
+    return scrollRoot.nodeType === 1 ? scrollRoot : null;
+  } catch (error) {
+    console.error("DOM Helper: Error resolving scroll root", error);
+    return null;
+  }
+}
+
+/**
+ * Get the visible bounds of the scroll root in viewport coordinates
+ * @param {Element|null} scrollRoot - Scroll root element (null for the window)
+ * @returns {{top: number, bottom: number}} - Top and bottom edge in pixels
+ */
+export function getScrollRootBounds(scrollRoot) {
+  try {
+    if (scrollRoot) {
+      const rect = scrollRoot.getBoundingClientRect();
+      return {
+        top: Math.max(0, rect.top),
+        bottom: Math.min(window.innerHeight, rect.bottom),
+      };
+    }
+  } catch (error) {
+    console.error("DOM Helper: Error getting scroll root bounds", error);
+  }
+  return { top: 0, bottom: window.innerHeight };
+}
+
 /**
  * Get header rows from table (either from thead or first rows in tbody with th tags)
  * @param {HTMLTableElement} table - Table element
@@ -56,10 +163,43 @@ export function getHeaderRows(table) {
   }
 }
 
+/**
+ * Get the logical row model of a table: every row in render order
+ * (the thead rows, then all tbody groups and direct rows in tree order, then the tfoot rows)
+ * Row freeze counts, the cell matrix and all appliers index rows by this order
+ * @param {HTMLTableElement} table - Table element
+ * @returns {HTMLTableRowElement[]} - Array of rows
+ */
+export function getLogicalRows(table) {
+  try {
+    const rows = [];
+    if (table.tHead) {
+      rows.push(...Array.from(table.tHead.rows));
+    }
+    // Only this table's own sections (not those of nested tables)
+    Array.from(table.children).forEach((child) => {
+      if (child === table.tHead || child === table.tFoot) return;
+      if (child.tagName === "TR") {
+        rows.push(child);
+      } else if (["TBODY", "THEAD", "TFOOT"].includes(child.tagName)) {
+        // Extra thead/tfoot elements render in place like a tbody
+        rows.push(...Array.from(child.rows));
+      }
+    });
+    if (table.tFoot) {
+      rows.push(...Array.from(table.tFoot.rows));
+    }
+    return rows;
+  } catch (error) {
+    console.error("DOM Helper: Error getting logical rows", error);
+    return [];
+  }
+}
+
 /**
  * Get freeze count from table attribute
  * @param {HTMLTableElement} table - Table element
- * @param {string} attrName - Attribute name (data-col-freeze or data-row-freeze)
+ * @param {string} attrName - Attribute name (data-col-freeze, data-col-freeze-end, data-row-freeze or data-row-freeze-end)
  * @returns {number} - Freeze count
  */
 export function getFreezeCount(table, attrName) {
@@ -75,37 +215,330 @@ export function getFreezeCount(table, attrName) {
 }
 
 /**
- * Clear all freeze-related styles from a table
+ * Write a freeze count to a table attribute, removing it when the count is not positive
+ * @param {HTMLTableElement} table - Table element
+ * @param {string} attrName - Attribute name (data-col-freeze, data-col-freeze-end, data-row-freeze or data-row-freeze-end)
+ * @param {number} count - Freeze count
+ */
+export function setFreezeCount(table, attrName, count) {
+  try {
+    const parsed = Number(count);
+    const normalized = Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : 0;
+    if (normalized > 0) {
+      if (table.getAttribute(attrName) !== String(normalized)) {
+        table.setAttribute(attrName, String(normalized));
+      }
+    } else if (table.hasAttribute(attrName)) {
+      table.removeAttribute(attrName);
+    }
+  } catch (error) {
+    console.error(`DOM Helper: Error setting freeze count for ${attrName}`, error);
+  }
+}
+
+/**
+ * Per-table custom property that frozen row `top` values are expressed against;
+ * page scrolling only updates this property (see setFreezeScrollOffset)
+ * @type {string}
+ */
+export const SCROLL_TOP_PROPERTY = "--freeze-scroll-top";
+
+/**
+ * Per-table custom property that frozen footer row `bottom` values are expressed against
+ * @type {string}
+ */
+export const SCROLL_BOTTOM_PROPERTY = "--freeze-scroll-bottom";
+
+/**
+ * Set a scroll offset custom property on a table, writing only when the value changes
+ * @param {HTMLTableElement} table - Table element
+ * @param {string} property - SCROLL_TOP_PROPERTY or SCROLL_BOTTOM_PROPERTY
+ * @param {number} offset - Offset in pixels
+ */
+export function setFreezeScrollOffset(table, property, offset) {
+  try {
+    const value = `${offset}px`;
+    if (table.style.getPropertyValue(property) !== value) {
+      setFreezeInlineStyle(table, table, property, value);
+    }
+  } catch (error) {
+    console.error("DOM Helper: Error setting scroll offset", error);
+  }
+}
+
+/**
+ * Classes the appliers add to frozen cells
+ * @type {string[]}
+ */
+const FREEZE_CELL_CLASSES = [
+  "freeze-col",
+  "freeze-col-end",
+  "freeze-row",
+  "freeze-row-end",
+  "freeze-both",
+  "freeze-boundary-col",
+  "freeze-boundary-col-end",
+  "freeze-boundary-row",
+  "freeze-boundary-row-end",
+];
+
+/**
+ * Inline properties the inline writer sets on frozen cells
+ * @type {string[]}
+ */
+const FREEZE_CELL_PROPERTIES = ["position", ...Object.keys(FREEZE_SIDE_ATTRIBUTES), CELL_BACKGROUND_PROPERTY];
+
+/**
+ * Remove the freeze classes and attributes from a cell
+ * A frozen cell without an inline snapshot that is still sticky inline was copied from a
+ * frozen row (e.g. a cloned row template): its sticky styles are the controller's, not the
+ * author's, so they are removed as well instead of being snapshotted later
+ * @param {HTMLTableElement} table - Table the cell belongs to
+ * @param {HTMLTableCellElement} cell - Cell element
+ */
+function stripFreezeMarkup(table, cell) {
+  const snapshots = inlineSnapshots.get(table);
+  const isCopied = !(snapshots && snapshots.has(cell)) && cell.style.position === "sticky";
+  cell.classList.remove(...FREEZE_CELL_CLASSES);
+  // Drop the class attribute freezing added rather than leaving class=""
+  if (cell.classList.length === 0) cell.removeAttribute("class");
+  [...Object.values(FREEZE_SIDE_ATTRIBUTES), BACKGROUND_ATTRIBUTE].forEach((attr) => cell.removeAttribute(attr));
+  if (isCopied) {
+    FREEZE_CELL_PROPERTIES.forEach((property) => cell.style.removeProperty(property));
+    if (cell.style.length === 0) cell.removeAttribute("style");
+  }
+}
+
+/**
+ * Check whether a cell carries freeze classes
+ * On a cell the controller has not styled yet, they were copied from a frozen cell
+ * @param {HTMLTableCellElement} cell - Cell element
+ * @returns {boolean} - True if the cell has any freeze class
+ */
+export function hasFreezeClasses(cell) {
+  return FREEZE_CELL_CLASSES.some((name) => cell.classList.contains(name));
+}
+
+/**
+ * Clear freeze markup copied along with cells that the controller has not styled yet
+ * Call before styling cells incrementally (rows appended to a frozen table)
+ * @param {HTMLTableElement} table - Table element
+ * @param {Iterable<HTMLTableCellElement>} cells - Cells about to be styled
+ */
+export function clearCopiedFreezeMarkup(table, cells) {
+  try {
+    for (const cell of cells) {
+      if (hasFreezeClasses(cell)) {
+        stripFreezeMarkup(table, cell);
+      }
+    }
+  } catch (error) {
+    console.error("DOM Helper: Error clearing copied freeze markup", error);
+  }
+}
+
+/**
+ * Original inline values of every property the controller has written, keyed by table,
+ * then by element (the table itself or one of its cells), then by property name
+ * @type {WeakMap<HTMLTableElement, Map<HTMLElement, Object>>}
+ */
+const inlineSnapshots = new WeakMap();
+
+/**
+ * Set an inline style property for freezing, remembering the element's own value first
+ * Only the first write of a property is snapshotted, so repeated applies keep the
+ * author's value rather than a previous freeze value
+ * @param {HTMLTableElement} table - Table the element belongs to
+ * @param {HTMLElement} element - Table or cell element
+ * @param {string} property - CSS property name (kebab-case or custom property)
+ * @param {string} value - CSS value
+ */
+export function setFreezeInlineStyle(table, element, property, value) {
+  let elements = inlineSnapshots.get(table);
+  if (!elements) {
+    elements = new Map();
+    inlineSnapshots.set(table, elements);
+  }
+  let snapshot = elements.get(element);
+  if (!snapshot) {
+    snapshot = { hadStyleAttribute: element.hasAttribute("style"), properties: new Map() };
+    elements.set(element, snapshot);
+  }
+  if (!snapshot.properties.has(property)) {
+    snapshot.properties.set(property, {
+      value: element.style.getPropertyValue(property),
+      priority: element.style.getPropertyPriority(property),
+    });
+  }
+  element.style.setProperty(property, value);
+}
+
+/**
+ * Put back the original inline values of every property written through setFreezeInlineStyle
+ * A style attribute the controller created is removed again once it is empty
+ * @param {HTMLTableElement} table - Table element
+ */
+export function restoreInlineStyles(table) {
+  try {
+    const elements = inlineSnapshots.get(table);
+    if (!elements) return;
+    elements.forEach((snapshot, element) => {
+      snapshot.properties.forEach(({ value, priority }, property) => {
+        if (value) {
+          element.style.setProperty(property, value, priority);
+        } else {
+          element.style.removeProperty(property);
+        }
+      });
+      if (!snapshot.hadStyleAttribute && element.style.length === 0) {
+        element.removeAttribute("style");
+      }
+    });
+    inlineSnapshots.delete(table);
+  } catch (error) {
+    console.error("DOM Helper: Error restoring inline styles", error);
+  }
+}
+
+/**
+ * Scroll-state classes toggled on the table, keyed by state name
+ * @type {Object<string, string>}
+ */
+export const SCROLL_STATE_CLASSES = {
+  scrolledX: "is-scrolled-x",
+  scrolledEnd: "is-scrolled-end",
+  rowsStuck: "is-rows-stuck",
+};
+
+/**
+ * Toggle scroll-state classes on a table; states that are not given are left as they are
+ * @param {HTMLTableElement} table - Table element
+ * @param {{scrolledX?: boolean, scrolledEnd?: boolean, rowsStuck?: boolean}} state - States to set
+ */
+export function setScrollState(table, state) {
+  try {
+    Object.keys(state).forEach((key) => {
+      // toggle() with a force that matches the current state does not touch the attribute
+      if (SCROLL_STATE_CLASSES[key]) {
+        table.classList.toggle(SCROLL_STATE_CLASSES[key], Boolean(state[key]));
+      }
+    });
+  } catch (error) {
+    console.error("DOM Helper: Error setting scroll state", error);
+  }
+}
+
+/**
+ * Remove all scroll-state classes from a table
+ * @param {HTMLTableElement} table - Table element
+ */
+export function clearScrollState(table) {
+  try {
+    table.classList.remove(...Object.values(SCROLL_STATE_CLASSES));
+    if (table.classList.length === 0) table.removeAttribute("class");
+  } catch (error) {
+    console.error("DOM Helper: Error clearing scroll state", error);
+  }
+}
+
+/**
+ * Class set on frozen right-to-left tables, so stylesheets can mirror boundary shadows
+ * @type {string}
+ */
+export const RTL_CLASS = "freeze-rtl";
+
+/**
+ * Check whether a table lays out right-to-left (from its computed direction, so a
+ * dir attribute on the table or on any ancestor counts)
+ * @param {HTMLTableElement} table - Table element
+ * @returns {boolean} - True for right-to-left tables
+ */
+export function isRtlTable(table) {
+  try {
+    return window.getComputedStyle(table).direction === "rtl";
+  } catch (error) {
+    console.error("DOM Helper: Error reading table direction", error);
+    return false;
+  }
+}
+
+/**
+ * Set or remove the RTL_CLASS of a table
+ * @param {HTMLTableElement} table - Table element
+ * @param {boolean} rtl - Whether the table is right-to-left
+ */
+export function setFreezeDirection(table, rtl) {
+  try {
+    table.classList.toggle(RTL_CLASS, rtl);
+    if (table.classList.length === 0) table.removeAttribute("class");
+  } catch (error) {
+    console.error("DOM Helper: Error setting freeze direction", error);
+  }
+}
+
+/**
+ * Clear all freeze-related classes and attributes from a table and restore the
+ * inline styles that freezing overwrote
  * @param {HTMLTableElement} table - Table element
  */
 export function clearFreezeStyles(table) {
   try {
-    // Clear all cells with freeze-related classes or inline styles
+    // Clear all cells with freeze-related classes
     table
-      .querySelectorAll(
-        ".freeze-col, .freeze-row, .freeze-both, .freeze-boundary-col, .freeze-boundary-row"
-      )
-      .forEach((cell) => {
-        cell.classList.remove(
-          "freeze-col",
-          "freeze-row",
-          "freeze-both",
-          "freeze-boundary-col",
-          "freeze-boundary-row"
-        );
-        // Clear inline styles related to freezing
-        cell.style.position = "";
-        cell.style.left = "";
-        cell.style.top = "";
-      });
-    
-    // Remove CSS variable from table
-    table.style.removeProperty('--freeze-bg-color');
+      .querySelectorAll(FREEZE_CELL_CLASSES.map((name) => `.${name}`).join(", "))
+      .forEach((cell) => stripFreezeMarkup(table, cell));
+
+    // Inline sticky offsets and table variables go back to the author's values
+    restoreInlineStyles(table);
   } catch (error) {
     console.error("DOM Helper: Error clearing freeze styles", error);
   }
 }
 
+/**
+ * Get the scrolling container of a table
+ * @param {HTMLTableElement} table - Table element
+ * @returns {HTMLElement|null} - Container element or null
+ */
+export function getTableContainer(table) {
+  try {
+    return table.closest(CONTAINER_SELECTOR);
+  } catch (error) {
+    console.error("DOM Helper: Error getting table container", error);
+    return null;
+  }
+}
+
+/**
+ * Resolve how frozen rows of a table scroll
+ * "container": the container scrolls vertically itself, rows stick to its top natively
+ * "page": the page scrolls past the table, rows are offset against the sticky offset
+ * A data-freeze-scroll attribute on the table or container overrides the default mode;
+ * "auto" detects a vertically scrollable, height-limited container
+ * @param {HTMLTableElement} table - Table element
+ * @param {HTMLElement|null} container - Table container
+ * @param {string} [defaultMode="auto"] - "auto", "page" or "container"
+ * @returns {string} - "page" or "container"
+ */
+export function getScrollMode(table, container, defaultMode = "auto") {
+  try {
+    if (!container) return "page";
+
+    const mode = table.getAttribute("data-freeze-scroll")
+      || container.getAttribute("data-freeze-scroll")
+      || defaultMode;
+    if (mode === "page" || mode === "container") return mode;
+
+    const style = window.getComputedStyle(container);
+    const scrollsVertically = style.overflowY === "auto" || style.overflowY === "scroll";
+    const isHeightLimited = style.maxHeight !== "none" || container.scrollHeight > container.clientHeight;
+    return scrollsVertically && isHeightLimited ? "container" : "page";
+  } catch (error) {
+    console.error("DOM Helper: Error resolving scroll mode", error);
+    return "page";
+  }
+}
+
 /**
  * Validate table is valid and in DOM
  * @param {HTMLTableElement} table - Table element
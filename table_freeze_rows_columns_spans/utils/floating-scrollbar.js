@@ -0,0 +1,112 @@
+/**
+ * Floating Horizontal Scrollbar
+ * @module utils/floating-scrollbar
+ */
+
+/**
+ * Create a proxy horizontal scrollbar for a scrolling table container
+ * The proxy is fixed to the viewport bottom and kept in two-way sync with the
+ * container's scrollLeft; it starts hidden until render() shows it
+ * The caller measures first and renders later, so several proxies can be updated
+ * without interleaving layout reads and style writes
+ * @param {HTMLElement} container - Horizontally scrolling table container
+ * @returns {{element: HTMLElement, measure: Function, render: Function, destroy: Function}|null} - Scrollbar handle
+ */
+export function createFloatingScrollbar(container) {
+  try {
+    const element = document.createElement("div");
+    element.className = "freeze-scrollbar";
+    element.setAttribute("aria-hidden", "true");
+    element.hidden = true;
+    // Matching directions give both scrollLeft values the same range (negative in RTL)
+    element.style.direction = window.getComputedStyle(container).direction;
+    const spacer = document.createElement("div");
+    element.appendChild(spacer);
+    document.body.appendChild(element);
+
+    // Assigning an equal scrollLeft fires no scroll event, so the pair cannot loop
+    const syncFromProxy = () => {
+      if (container.scrollLeft !== element.scrollLeft) {
+        container.scrollLeft = element.scrollLeft;
+      }
+    };
+    const syncFromContainer = () => {
+      if (element.scrollLeft !== container.scrollLeft) {
+        element.scrollLeft = container.scrollLeft;
+      }
+    };
+    element.addEventListener("scroll", syncFromProxy, { passive: true });
+    container.addEventListener("scroll", syncFromContainer, { passive: true });
+
+    // Last rendered height; the proxy has no height while hidden
+    let height = 0;
+
+    /**
+     * Read the geometry the proxy needs for the current scroll position (no writes)
+     * @param {number} viewportBottom - Bottom edge the proxy sits on, in viewport coordinates
+     * @returns {{visible: boolean, left: number, width: number, bottom: number, scrollWidth: number, height: number}}
+     *   - State for render(); height is what the visible proxy covers in pixels (0 when hidden)
+     */
+    const measure = (viewportBottom) => {
+      try {
+        const rect = container.getBoundingClientRect();
+        const overflows = container.scrollWidth > container.clientWidth;
+        // The real scrollbar is at the container bottom; it is visible once that edge is in view
+        const visible = overflows && rect.top < viewportBottom && rect.bottom > viewportBottom;
+        if (visible && !element.hidden) {
+          height = element.offsetHeight;
+        }
+        return {
+          visible,
+          left: rect.left + container.clientLeft,
+          width: container.clientWidth,
+          bottom: Math.max(0, window.innerHeight - viewportBottom),
+          scrollWidth: container.scrollWidth,
+          height: visible ? height : 0,
+        };
+      } catch (error) {
+        console.error("Floating Scrollbar: Error measuring scrollbar", error);
+        return { visible: false, left: 0, width: 0, bottom: 0, scrollWidth: 0, height: 0 };
+      }
+    };
+
+    /**
+     * Show or hide the proxy from a measured state (writes only)
+     * A proxy that was hidden during measure() reported no height; when render() shows it,
+     * measure again so the rows above it can be lifted by its real height
+     * @param {Object} state - Result from measure()
+     * @returns {boolean} - True if the proxy was shown just now
+     */
+    const render = (state) => {
+      try {
+        const wasHidden = element.hidden;
+        element.hidden = !state.visible;
+        if (!state.visible) return false;
+
+        element.style.left = `${state.left}px`;
+        element.style.width = `${state.width}px`;
+        element.style.bottom = `${state.bottom}px`;
+        spacer.style.width = `${state.scrollWidth}px`;
+        syncFromContainer();
+        return wasHidden;
+      } catch (error) {
+        console.error("Floating Scrollbar: Error rendering scrollbar", error);
+        return false;
+      }
+    };
+
+    /**
+     * Remove the proxy and its listeners
+     */
+    const destroy = () => {
+      element.removeEventListener("scroll", syncFromProxy);
+      container.removeEventListener("scroll", syncFromContainer);
+      element.remove();
+    };
+
+    return { element, measure, render, destroy };
+  } catch (error) {
+    console.error("Floating Scrollbar: Failed to create scrollbar", error);
+    return null;
+  }
+}
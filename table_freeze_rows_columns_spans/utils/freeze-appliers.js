@@ -4,139 +4,532 @@
  */
 
 import { measureColumnWidths, measureBodyRowHeights } from './measurements.js';
+import {
+  getLogicalRows,
+  isRtlTable,
+  setFreezeInlineStyle,
+  clearCopiedFreezeMarkup,
+  SCROLL_TOP_PROPERTY,
+  SCROLL_BOTTOM_PROPERTY
+} from './dom-helpers.js';
 import { 
-  buildCellMatrix, 
+  getCellMatrix, 
   getCellsForColumnFreeze, 
+  getCellsForColumnFreezeEnd,
   getCellsForRowFreeze,
+  getCellsForRowFreezeEnd,
   getColumnBoundaryIndex,
-  getRowBoundaryIndex
+  getColumnEndBoundaryIndex,
+  getRowBoundaryIndex,
+  getRowEndBoundaryIndex,
+  toFrozenColumnList
 } from './span-helpers.js';
+import { CELL_BACKGROUND_PROPERTY } from './freeze-stylesheet.js';
 
 /**
  * Get the first non-transparent background color from element or its ancestors
+ * Elements resolved through a shared cache are read once, so the cells of one
+ * row (and the rows of one section) do not repeat the ancestor walk
  * @param {HTMLElement} element - Starting element
+ * @param {Map<HTMLElement, string|null>} [cache] - Resolved colors by element
  * @returns {string|null} - Background color or null if all transparent
  */
-function getOpaqueBackgroundColor(element) {
+function getOpaqueBackgroundColor(element, cache = new Map()) {
+  const visited = [];
+  let color = null;
   let current = element;
   while (current && current !== document.documentElement) {
+    if (cache.has(current)) {
+      color = cache.get(current);
+      break;
+    }
+    visited.push(current);
     const bg = window.getComputedStyle(current).backgroundColor;
     if (bg && bg !== 'rgba(0, 0, 0, 0)' && bg !== 'transparent') {
-      return bg;
+      color = bg;
+      break;
     }
     current = current.parentElement;
   }
-  return null; // No opaque background found
+  visited.forEach((visitedElement) => cache.set(visitedElement, color));
+  return color; // null when no opaque background was found
 }
 
 /**
- * Apply column freeze styles with colspan support
+ * Resolve the opaque background of the table and of every cell freezing will pin
+ * Each cell walks cell → row → section → table → ancestors, so zebra rows, highlighted
+ * cells and colored header cells keep their own color when content scrolls beneath them
  * @param {HTMLTableElement} table - Table element
- * @param {number} colFreeze - Number of columns to freeze
+ * @param {Object} config - Freeze configuration
+ * @param {number|number[]} [config.colFreeze=0] - Number of leading columns or frozen column indexes
+ * @param {number} [config.colFreezeEnd=0] - Number of trailing columns to freeze
+ * @param {number} [config.rowFreeze=0] - Number of leading rows to freeze
+ * @param {number} [config.rowFreezeEnd=0] - Number of trailing rows to freeze
+ * @param {HTMLTableRowElement[]} [config.rows] - Only resolve cells of these rows
+ * @returns {{bgColor: string|null, cellBackgrounds: Map<HTMLTableCellElement, string|null>}} - Table and cell colors
  */
-export function applyColumnFreeze(table, colFreeze) {
+export function measureFreezeBackgrounds(table, { colFreeze = 0, colFreezeEnd = 0, rowFreeze = 0, rowFreezeEnd = 0, rows = null } = {}) {
+  const cache = new Map();
+  const backgrounds = { bgColor: getOpaqueBackgroundColor(table, cache), cellBackgrounds: new Map() };
   try {
-    if (colFreeze <= 0) return;
-    
-    // Build cell matrix to handle colspan
-    const matrixData = buildCellMatrix(table);
-    if (matrixData.maxCol === 0) {
-      console.warn("Freeze Applier: No columns found to freeze");
-      return;
+    const matrixData = getCellMatrix(table);
+    const cells = new Set([
+      ...getCellsForColumnFreeze(matrixData, colFreeze),
+      ...getCellsForColumnFreezeEnd(matrixData, colFreezeEnd, colFreeze),
+      ...getCellsForRowFreeze(table, matrixData, rowFreeze),
+      ...getCellsForRowFreezeEnd(table, matrixData, rowFreezeEnd, rowFreeze),
+    ]);
+    const onlyRows = rows ? new Set(rows) : null;
+    cells.forEach((cell) => {
+      // Header cells keep their own background (see styles.css)
+      if (cell.tagName !== "TD" || (onlyRows && !onlyRows.has(cell.parentElement))) return;
+      backgrounds.cellBackgrounds.set(cell, getOpaqueBackgroundColor(cell, cache));
+    });
+  } catch (error) {
+    console.error("Freeze Applier: Error measuring cell backgrounds", error);
+  }
+  return backgrounds;
+}
+
+/**
+ * Measure everything the appliers read from layout for one table, without writing
+ * Passing the result to the appliers lets a caller measure many tables before
+ * mutating any of them, so the browser lays out once instead of once per table
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} config - Freeze configuration
+ * @param {number|number[]} [config.colFreeze=0] - Number of leading columns or frozen column indexes
+ * @param {number} [config.colFreezeEnd=0] - Number of trailing columns to freeze
+ * @param {number} [config.rowFreeze=0] - Number of leading rows to freeze
+ * @param {number} [config.rowFreezeEnd=0] - Number of trailing rows to freeze
+ * @param {HTMLTableRowElement[]} [config.rows] - Only resolve cell backgrounds of these rows
+ * @returns {{widths: number[], rowHeights: number[], rtl: boolean, bgColor: string|null, cellBackgrounds: Map}}
+ *   - Measurements (rowHeights is sparse, by logical row; see measureFreezeBackgrounds for the colors)
+ */
+export function measureFreezeLayout(table, { colFreeze = 0, colFreezeEnd = 0, rowFreeze = 0, rowFreezeEnd = 0, rows: backgroundRows = null } = {}) {
+  const measured = { widths: [], rowHeights: [], rtl: false, bgColor: null, cellBackgrounds: new Map() };
+  try {
+    measured.rtl = isRtlTable(table);
+    const hasColumns = toFrozenColumnList(colFreeze).length > 0 || colFreezeEnd > 0;
+    if (!hasColumns && rowFreeze <= 0 && rowFreezeEnd <= 0) return measured;
+
+    if (hasColumns) {
+      measured.widths = measureColumnWidths(table);
     }
 
-    // Get column widths (accounting for visual layout)
-    const widths = measureColumnWidths(table);
-    if (widths.length === 0) return;
-
-    // Calculate left offsets for each column
-    const leftOffsets = [];
-    let acc = 0;
-    const actualColFreeze = Math.min(colFreeze, widths.length);
-    for (let i = 0; i < actualColFreeze; i += 1) {
-      leftOffsets[i] = acc;
-      acc += widths[i] || 0;
+    const rows = getLogicalRows(table);
+    rows.forEach((row, index) => {
+      if (index < rowFreeze || index >= rows.length - rowFreezeEnd) {
+        measured.rowHeights[index] = Math.max(0, row.getBoundingClientRect().height);
+      }
+    });
+
+    Object.assign(measured, measureFreezeBackgrounds(table, {
+      colFreeze, colFreezeEnd, rowFreeze, rowFreezeEnd, rows: backgroundRows,
+    }));
+  } catch (error) {
+    console.error("Freeze Applier: Error measuring freeze layout", error);
+  }
+  return measured;
+}
+
+/**
+ * Get column widths from measurements, measuring the table when none were given
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object|null} measured - Result from measureFreezeLayout
+ * @returns {number[]} - Column widths
+ */
+function getColumnWidths(table, measured) {
+  return measured && measured.widths.length > 0 ? measured.widths : measureColumnWidths(table);
+}
+
+/**
+ * Get the height of a logical row from measurements, measuring it when missing
+ * @param {HTMLTableRowElement} row - Row element
+ * @param {number} index - Logical row index
+ * @param {Object|null} measured - Result from measureFreezeLayout
+ * @returns {number} - Row height in pixels
+ */
+function getRowHeight(row, index, measured) {
+  if (measured && measured.rowHeights[index] !== undefined) {
+    return measured.rowHeights[index];
+  }
+  return Math.max(0, row.getBoundingClientRect().height);
+}
+
+/**
+ * Create the default cell writer, which styles cells inline
+ * Writers decouple what the appliers compute from how it reaches the page; see
+ * createStylesheetWriter for the stylesheet-based alternative. Inline writes are
+ * snapshotted so clearFreezeStyles can restore the author's values
+ * @param {HTMLTableElement} table - Table element
+ * @returns {{stick: Function, mark: Function, paint: Function, property: Function, scrollPadding: Function, commit: Function}}
+ *   - Cell writer
+ */
+function createInlineWriter(table) {
+  return {
+    stick(cell, side, key, value) {
+      setFreezeInlineStyle(table, cell, "position", "sticky");
+      setFreezeInlineStyle(table, cell, side, value);
+    },
+    mark(cell, className) {
+      cell.classList.add(className);
+    },
+    paint(cell, color) {
+      setFreezeInlineStyle(table, cell, CELL_BACKGROUND_PROPERTY, color);
+    },
+    property(name, value) {
+      setFreezeInlineStyle(table, table, name, value);
+    },
+    scrollPadding(container, declarations) {
+      Object.keys(declarations).forEach((name) => setFreezeInlineStyle(table, container, name, declarations[name]));
+    },
+    commit() {},
+  };
+}
+
+/**
+ * Set the frozen cell background variable from the table or its ancestors
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object|null} measured - Result from measureFreezeLayout
+ * @param {Object} writer - Cell writer
+ */
+function setFreezeBackground(table, measured, writer) {
+  // Get first non-transparent background color from table or ancestors
+  const bgColor = measured ? measured.bgColor : getOpaqueBackgroundColor(table);
+  if (bgColor) {
+    writer.property('--freeze-bg-color', bgColor);
+  }
+}
+
+/**
+ * Get the physical sides the start and end column zones stick to
+ * Columns are counted from the inline start, which is the right edge in RTL tables
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object|null} measured - Result from measureFreezeLayout
+ * @returns {{start: string, end: string}} - "left"/"right" for each zone
+ */
+function getInlineSides(table, measured) {
+  const rtl = measured ? measured.rtl : isRtlTable(table);
+  return rtl ? { start: "right", end: "left" } : { start: "left", end: "right" };
+}
+
+/**
+ * Compute column freeze layout (cell matrix, start offsets and boundary column)
+ * @param {HTMLTableElement} table - Table element
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout
+ * @returns {Object|null} - Layout data or null if nothing can be frozen
+ */
+function getColumnFreezeLayout(table, colFreeze, measured = null) {
+  // Get (cached) cell matrix to handle colspan
+  const matrixData = getCellMatrix(table);
+  if (matrixData.maxCol === 0) {
+    console.warn("Freeze Applier: No columns found to freeze");
+    return null;
+  }
+
+  // Get column widths (accounting for visual layout)
+  const widths = getColumnWidths(table, measured);
+  if (widths.length === 0) return null;
+
+  // Calculate start offsets for each frozen column
+  const frozenColumns = toFrozenColumnList(colFreeze).filter((col) => col < widths.length);
+  if (frozenColumns.length === 0) return null;
+  const leftOffsets = getLeftOffsets(widths, frozenColumns);
+
+  const boundaryCol = getColumnBoundaryIndex(matrixData, frozenColumns);
+  const side = getInlineSides(table, measured).start;
+  return { matrixData, leftOffsets, frozenColumns: new Set(frozenColumns), boundaryCol, side };
+}
+
+/**
+ * Apply column freeze styles to a single cell
+ * @param {HTMLTableCellElement} cell - Cell element
+ * @param {Object} layout - Result from getColumnFreezeLayout
+ * @param {Object} writer - Cell writer
+ */
+function freezeColumnCell(cell, layout, writer) {
+  const { matrixData, leftOffsets, frozenColumns, boundaryCol, side } = layout;
+  const info = matrixData.cellInfo.get(cell);
+  if (!info || !frozenColumns.has(info.col)) return;
+
+  // Apply sticky positioning (z-index handled by CSS)
+  writer.stick(cell, side, info.col, `${leftOffsets[info.col] || 0}px`);
+
+  // Add freeze-col class for CSS styling
+  writer.mark(cell, "freeze-col");
+
+  // Mark boundary cell (covers the last frozen column)
+  const cellEndCol = info.col + info.colspan - 1;
+  if (info.col <= boundaryCol && cellEndCol >= boundaryCol) {
+    writer.mark(cell, "freeze-boundary-col");
+  }
+}
+
+/**
+ * Calculate start (left, or right in RTL) offsets for the frozen columns
+ * Frozen columns stack in visual order, skipping the widths of unfrozen columns
+ * @param {number[]} widths - Column widths
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @returns {number[]} - Left offsets indexed by column
+ */
+function getLeftOffsets(widths, colFreeze) {
+  const leftOffsets = [];
+  let acc = 0;
+  toFrozenColumnList(colFreeze)
+    .filter((col) => col < widths.length)
+    .forEach((col) => {
+      leftOffsets[col] = acc;
+      acc += widths[col] || 0;
+    });
+  return leftOffsets;
+}
+
+/**
+ * Calculate end (right, or left in RTL) offsets for the columns of the end freeze zone
+ * @param {number[]} widths - Column widths
+ * @param {number} maxCol - Total number of columns
+ * @param {number} startCol - First column of the end zone
+ * @returns {number[]} - Right offsets indexed by column
+ */
+function getRightOffsets(widths, maxCol, startCol) {
+  const rightOffsets = [];
+  let acc = 0;
+  for (let i = maxCol - 1; i >= startCol; i -= 1) {
+    rightOffsets[i] = acc;
+    acc += widths[i] || 0;
+  }
+  return rightOffsets;
+}
+
+/**
+ * Compute end column freeze layout (cell matrix, end offsets and first end column)
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} colFreezeEnd - Number of trailing columns to freeze
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout
+ * @returns {Object|null} - Layout data or null if nothing can be frozen
+ */
+function getColumnFreezeEndLayout(table, colFreezeEnd, colFreeze, measured = null) {
+  const matrixData = getCellMatrix(table);
+  const startCol = getColumnEndBoundaryIndex(matrixData, colFreezeEnd, colFreeze);
+  if (startCol === -1) return null;
+
+  const widths = getColumnWidths(table, measured);
+  const rightOffsets = getRightOffsets(widths, matrixData.maxCol, startCol);
+  const frozenColumns = toFrozenColumnList(colFreeze);
+  const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+  const side = getInlineSides(table, measured).end;
+  return { matrixData, rightOffsets, startCol, lastFrozenCol, side };
+}
+
+/**
+ * Apply end column freeze styles to a single cell if it belongs to the end zone
+ * @param {HTMLTableCellElement} cell - Cell element
+ * @param {Object} layout - Result from getColumnFreezeEndLayout
+ * @param {Object} writer - Cell writer
+ */
+function freezeColumnEndCell(cell, layout, writer) {
+  const { matrixData, rightOffsets, startCol, lastFrozenCol, side } = layout;
+  const info = matrixData.cellInfo.get(cell);
+  if (!info) return;
+
+  const cellEndCol = info.col + info.colspan - 1;
+  if (info.col <= lastFrozenCol || cellEndCol < startCol) return;
+
+  // Spanned cells stick by their last column
+  writer.stick(cell, side, cellEndCol, `${rightOffsets[cellEndCol] || 0}px`);
+  writer.mark(cell, "freeze-col-end");
+
+  // Mark boundary cell (touches the first column of the end zone)
+  if (info.col <= startCol) {
+    writer.mark(cell, "freeze-boundary-col-end");
+  }
+}
+
+/**
+ * Get horizontal offsets for corner cells of frozen rows
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} matrixData - Result from buildCellMatrix
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {number} colFreezeEnd - Number of trailing columns to freeze
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout
+ * @returns {Object} - Corner layout used by applyCornerOffsets
+ */
+function getCornerLayout(table, matrixData, colFreeze, colFreezeEnd, measured = null) {
+  const frozenColumns = toFrozenColumnList(colFreeze);
+  const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+  if (frozenColumns.length === 0 && colFreezeEnd <= 0) {
+    return { frozenColumns: new Set(), lastFrozenCol, leftOffsets: [], endStartCol: -1, rightOffsets: [] };
+  }
+  const widths = getColumnWidths(table, measured);
+  const endStartCol = getColumnEndBoundaryIndex(matrixData, colFreezeEnd, frozenColumns);
+  return {
+    sides: getInlineSides(table, measured),
+    frozenColumns: new Set(frozenColumns),
+    lastFrozenCol,
+    leftOffsets: getLeftOffsets(widths, frozenColumns),
+    endStartCol,
+    rightOffsets: endStartCol === -1 ? [] : getRightOffsets(widths, matrixData.maxCol, endStartCol),
+  };
+}
+
+/**
+ * Apply start/end positioning to a frozen row cell that also sits in a frozen column
+ * Cells of non-frozen columns keep scrolling horizontally
+ * @param {HTMLTableCellElement} cell - Cell element
+ * @param {Object} info - Cell info from the matrix
+ * @param {Object} corner - Result from getCornerLayout
+ * @param {Object} writer - Cell writer
+ */
+function applyCornerOffsets(cell, info, corner, writer) {
+  const { sides, frozenColumns, lastFrozenCol, leftOffsets, endStartCol, rightOffsets } = corner;
+  if (!info) return;
+
+  if (frozenColumns.has(info.col) && leftOffsets[info.col] !== undefined) {
+    writer.stick(cell, sides.start, info.col, `${leftOffsets[info.col]}px`);
+  }
+
+  // End zone corner cells are positioned by their last column
+  if (endStartCol !== -1 && info.col > lastFrozenCol) {
+    const cellEndCol = info.col + info.colspan - 1;
+    if (cellEndCol >= endStartCol) {
+      writer.stick(cell, sides.end, cellEndCol, `${rightOffsets[cellEndCol] || 0}px`);
     }
+  }
+}
+
+/**
+ * Apply column freeze styles with colspan support
+ * @param {HTMLTableElement} table - Table element
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyColumnFreeze(table, colFreeze, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    if (toFrozenColumnList(colFreeze).length === 0) return;
+
+    const layout = getColumnFreezeLayout(table, colFreeze, measured);
+    if (!layout) return;
 
     // Get cells that should be frozen (considering colspan)
-    const frozenCells = getCellsForColumnFreeze(matrixData, actualColFreeze);
-    const boundaryCol = getColumnBoundaryIndex(matrixData, actualColFreeze);
+    const frozenCells = getCellsForColumnFreeze(layout.matrixData, Array.from(layout.frozenColumns));
 
-    // Get first non-transparent background color from table or ancestors
-    const bgColor = getOpaqueBackgroundColor(table);
-    if (bgColor) {
-      table.style.setProperty('--freeze-bg-color', bgColor);
-    }
+    setFreezeBackground(table, measured, cellWriter);
 
-    // Apply freeze styles to cells (inline)
-    frozenCells.forEach((cell) => {
-      const info = matrixData.cellInfo.get(cell);
-      if (!info) return;
-      
-      // Apply sticky positioning inline (z-index handled by CSS)
-      cell.style.position = "sticky";
-      cell.style.left = `${leftOffsets[info.col] || 0}px`;
-      
-      // Add freeze-col class for CSS styling
-      cell.classList.add("freeze-col");
-      
-      // Mark boundary cell (last column in freeze zone)
-      const cellEndCol = info.col + info.colspan - 1;
-      if (cellEndCol === boundaryCol || info.col === actualColFreeze - 1) {
-        cell.classList.add("freeze-boundary-col");
-      }
-    });
+    // Apply freeze styles to cells
+    frozenCells.forEach((cell) => freezeColumnCell(cell, layout, cellWriter));
   } catch (error) {
     console.error("Freeze Applier: Error applying column freeze", error);
   }
 }
 
+/**
+ * Apply end (right edge) column freeze styles with colspan support
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} colFreezeEnd - Number of trailing columns to freeze
+ * @param {number|number[]} [colFreeze=0] - Leading columns count or frozen column indexes (never overlapped)
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyColumnFreezeEnd(table, colFreezeEnd, colFreeze = 0, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    if (colFreezeEnd <= 0) return;
+
+    const layout = getColumnFreezeEndLayout(table, colFreezeEnd, colFreeze, measured);
+    if (!layout) return;
+
+    const frozenCells = getCellsForColumnFreezeEnd(layout.matrixData, colFreezeEnd, colFreeze);
+
+    setFreezeBackground(table, measured, cellWriter);
+
+    frozenCells.forEach((cell) => freezeColumnEndCell(cell, layout, cellWriter));
+  } catch (error) {
+    console.error("Freeze Applier: Error applying end column freeze", error);
+  }
+}
+
+/**
+ * Apply column freeze styles to specific rows only (e.g. rows appended to a frozen table)
+ * Rows outside the frozen row zone only need their frozen-column cells styled
+ * @param {HTMLTableElement} table - Table element
+ * @param {HTMLTableRowElement[]} rows - Rows to style
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {number} [colFreezeEnd=0] - Number of trailing columns to freeze
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyColumnFreezeToRows(table, rows, colFreeze, colFreezeEnd = 0, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    if (!rows || rows.length === 0) return;
+
+    // Rows cloned from frozen rows carry classes and offsets for their old position
+    rows.forEach((row) => clearCopiedFreezeMarkup(table, row.cells));
+
+    const hasFrozenColumns = toFrozenColumnList(colFreeze).length > 0;
+    const layout = hasFrozenColumns ? getColumnFreezeLayout(table, colFreeze, measured) : null;
+    const endLayout = colFreezeEnd > 0 ? getColumnFreezeEndLayout(table, colFreezeEnd, colFreeze, measured) : null;
+    if (!layout && !endLayout) return;
+
+    rows.forEach((row) => {
+      Array.from(row.cells).forEach((cell) => {
+        if (layout) {
+          freezeColumnCell(cell, layout, cellWriter);
+        }
+        if (endLayout) {
+          freezeColumnEndCell(cell, endLayout, cellWriter);
+        }
+      });
+    });
+
+    // Measurements limited to these rows (see measureFreezeLayout) paint only their cells
+    if (measured) {
+      applyFreezeBackgrounds(table, measured, cellWriter);
+    }
+  } catch (error) {
+    console.error("Freeze Applier: Error applying column freeze to rows", error);
+  }
+}
+
 /**
  * Apply row freeze styles with rowspan support
  * @param {HTMLTableElement} table - Table element
  * @param {number} rowFreeze - Number of rows to freeze
- * @param {number} colFreeze - Number of columns to freeze (for corner detection)
+ * @param {number|number[]} colFreeze - Leading columns count or frozen column indexes (for corner detection)
+ * @param {number} [colFreezeEnd=0] - Number of trailing columns to freeze (for corner detection)
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
  */
-export function applyRowFreeze(table, rowFreeze, colFreeze = 0) {
+export function applyRowFreeze(table, rowFreeze, colFreeze = 0, colFreezeEnd = 0, measured = null, writer = null) {
   try {
-    const tbody = table.tBodies[0];
-    if (!tbody || rowFreeze <= 0) return;
+    const cellWriter = writer || createInlineWriter(table);
+    if (rowFreeze <= 0) return;
 
-    // Build cell matrix to handle rowspan
-    const matrixData = buildCellMatrix(table);
+    // Get (cached) cell matrix to handle rowspan
+    const matrixData = getCellMatrix(table);
 
-    // Get all rows (from thead if exists, then tbody)
-    const allRows = [];
-    if (table.tHead) {
-      allRows.push(...Array.from(table.tHead.rows));
-    }
-    allRows.push(...Array.from(tbody.rows));
+    // Logical rows: thead, every tbody group, then tfoot
+    const allRows = matrixData.rows;
+    if (allRows.length === 0) return;
 
     // Measure heights of all rows that will be frozen
     const frozenRowHeights = [];
     for (let i = 0; i < Math.min(rowFreeze, allRows.length); i++) {
-      const rect = allRows[i].getBoundingClientRect();
-      frozenRowHeights.push(Math.max(0, rect.height));
+      frozenRowHeights.push(getRowHeight(allRows[i], i, measured));
     }
 
     // Get cells that should be frozen (considering rowspan)
     const frozenCells = getCellsForRowFreeze(table, matrixData, rowFreeze);
     const boundaryRow = getRowBoundaryIndex(table, matrixData, rowFreeze);
 
-    // Get first non-transparent background color from table or ancestors
-    const bgColor = getOpaqueBackgroundColor(table);
-    if (bgColor) {
-      table.style.setProperty('--freeze-bg-color', bgColor);
-    }
+    setFreezeBackground(table, measured, cellWriter);
 
-    // Get column widths to calculate left positions for corner cells only
-    const widths = measureColumnWidths(table);
-    const leftOffsets = [];
-    let leftAcc = 0;
-    for (let i = 0; i < Math.min(colFreeze, widths.length); i += 1) {
-      leftOffsets[i] = leftAcc;
-      leftAcc += widths[i] || 0;
-    }
+    // Get column widths to calculate left/right positions for corner cells only
+    const corner = getCornerLayout(table, matrixData, colFreeze, colFreezeEnd, measured);
 
     // Apply styles to frozen rows
     let topAcc = 0;
@@ -149,24 +542,21 @@ export function applyRowFreeze(table, rowFreeze, colFreeze = 0) {
         if (frozenCells.has(cell)) {
           const info = matrixData.cellInfo.get(cell);
           
-          // Apply sticky positioning inline (z-index handled by CSS)
-          cell.style.position = "sticky";
-          cell.style.top = `${topAcc}px`;
+          // Apply sticky positioning (z-index handled by CSS); page scroll
+          // only moves the table's scroll offset property, not each cell
+          cellWriter.stick(cell, "top", i, `calc(var(${SCROLL_TOP_PROPERTY}, 0px) + ${topAcc}px)`);
           
           // Add freeze-row class for CSS styling
-          cell.classList.add("freeze-row");
+          cellWriter.mark(cell, "freeze-row");
           
-          // Only apply left positioning to cells in frozen columns (corner cells)
-          // This allows non-frozen column cells in frozen rows to scroll horizontally
-          if (colFreeze > 0 && info && info.col < colFreeze && leftOffsets[info.col] !== undefined) {
-            cell.style.left = `${leftOffsets[info.col]}px`;
-          }
+          // Only apply left/right positioning to cells in frozen columns (corner cells)
+          applyCornerOffsets(cell, info, corner, cellWriter);
           
           // Mark boundary cell
           if (info) {
             const cellEndRow = i + info.rowspan - 1;
             if (cellEndRow === boundaryRow || i === rowFreeze - 1) {
-              cell.classList.add("freeze-boundary-row");
+              cellWriter.mark(cell, "freeze-boundary-row");
             }
           }
         }
@@ -178,23 +568,157 @@ export function applyRowFreeze(table, rowFreeze, colFreeze = 0) {
   }
 }
 
+/**
+ * Position cells of the frozen footer rows from the bottom edge
+ * Offsets are expressed against the table's --freeze-scroll-bottom property, which
+ * page scrolling updates to lift the footer; `stickyBottom` adds a fixed distance
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} rowFreezeEnd - Number of trailing rows to freeze
+ * @param {number} [rowFreeze=0] - Number of leading rows to freeze
+ * @param {number} [stickyBottom=0] - Extra distance from the bottom edge in pixels
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function positionRowFreezeEnd(table, rowFreezeEnd, rowFreeze = 0, stickyBottom = 0, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    const startRow = getRowEndBoundaryIndex(table, rowFreezeEnd, rowFreeze);
+    if (startRow === -1) return;
+
+    const matrixData = getCellMatrix(table);
+    const { rows } = matrixData;
+
+    // Measure all footer rows before writing any offsets
+    const bottomOffsets = [];
+    let bottomAcc = 0;
+    for (let i = rows.length - 1; i >= startRow; i -= 1) {
+      bottomOffsets[i] = bottomAcc;
+      bottomAcc += getRowHeight(rows[i], i, measured);
+    }
+
+    getCellsForRowFreezeEnd(table, matrixData, rowFreezeEnd, rowFreeze).forEach((cell) => {
+      const info = matrixData.cellInfo.get(cell);
+      if (!info) return;
+      // Rowspan cells stick by their last row
+      const cellEndRow = Math.min(info.row + info.rowspan - 1, rows.length - 1);
+      const offset = stickyBottom + (bottomOffsets[cellEndRow] || 0);
+      cellWriter.stick(cell, "bottom", cellEndRow, `calc(var(${SCROLL_BOTTOM_PROPERTY}, 0px) + ${offset}px)`);
+    });
+  } catch (error) {
+    console.error("Freeze Applier: Error positioning footer rows", error);
+  }
+}
+
+/**
+ * Apply end (bottom) row freeze styles with rowspan support
+ * Freezes the last N rows of the table (tfoot rows first, then trailing body rows)
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} rowFreezeEnd - Number of trailing rows to freeze
+ * @param {number} [rowFreeze=0] - Number of leading rows to freeze (never overlapped)
+ * @param {number|number[]} [colFreeze=0] - Leading columns count or frozen column indexes (for corner detection)
+ * @param {number} [colFreezeEnd=0] - Number of trailing columns to freeze (for corner detection)
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (measured here when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyRowFreezeEnd(table, rowFreezeEnd, rowFreeze = 0, colFreeze = 0, colFreezeEnd = 0, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    if (rowFreezeEnd <= 0) return;
+
+    const startRow = getRowEndBoundaryIndex(table, rowFreezeEnd, rowFreeze);
+    if (startRow === -1) return;
+
+    const matrixData = getCellMatrix(table);
+    const frozenCells = getCellsForRowFreezeEnd(table, matrixData, rowFreezeEnd, rowFreeze);
+
+    setFreezeBackground(table, measured, cellWriter);
+
+    const corner = getCornerLayout(table, matrixData, colFreeze, colFreezeEnd, measured);
+
+    frozenCells.forEach((cell) => {
+      const info = matrixData.cellInfo.get(cell);
+      if (!info) return;
+
+      // Sticky bottom offsets are written by positionRowFreezeEnd below
+      cellWriter.mark(cell, "freeze-row-end");
+      applyCornerOffsets(cell, info, corner, cellWriter);
+
+      // Mark boundary cell (touches the first row of the end zone)
+      if (info.row <= startRow) {
+        cellWriter.mark(cell, "freeze-boundary-row-end");
+      }
+    });
+
+    positionRowFreezeEnd(table, rowFreezeEnd, rowFreeze, 0, measured, cellWriter);
+  } catch (error) {
+    console.error("Freeze Applier: Error applying end row freeze", error);
+  }
+}
+
+/**
+ * Give frozen cells their resolved opaque background through CELL_BACKGROUND_PROPERTY
+ * Cells resolving to the table color are skipped; they fall back to --freeze-bg-color
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object|null} [measured=null] - Result from measureFreezeLayout (cells carrying freeze classes are resolved when omitted)
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyFreezeBackgrounds(table, measured = null, writer = null) {
+  try {
+    const cellWriter = writer || createInlineWriter(table);
+    let backgrounds = measured;
+    if (!backgrounds) {
+      const cache = new Map();
+      backgrounds = { bgColor: getOpaqueBackgroundColor(table, cache), cellBackgrounds: new Map() };
+      table
+        .querySelectorAll("td.freeze-col, td.freeze-col-end, td.freeze-row, td.freeze-row-end, td.freeze-both")
+        .forEach((cell) => backgrounds.cellBackgrounds.set(cell, getOpaqueBackgroundColor(cell, cache)));
+    }
+
+    backgrounds.cellBackgrounds.forEach((color, cell) => {
+      if (color && color !== backgrounds.bgColor) {
+        cellWriter.paint(cell, color);
+      }
+    });
+  } catch (error) {
+    console.error("Freeze Applier: Error applying cell backgrounds", error);
+  }
+}
+
+/**
+ * Give the table container the scroll padding that keeps focus scrolling clear of the frozen panes
+ * @param {HTMLTableElement} table - Table element
+ * @param {HTMLElement} container - Table container
+ * @param {Object<string, string>} declarations - Values from getContainerScrollPadding
+ * @param {Object|null} [writer=null] - Cell writer (inline styles when omitted)
+ */
+export function applyContainerScrollPadding(table, container, declarations, writer = null) {
+  try {
+    (writer || createInlineWriter(table)).scrollPadding(container, declarations);
+  } catch (error) {
+    console.error("Freeze Applier: Error applying container scroll padding", error);
+  }
+}
+
 /**
  * Apply corner priority for frozen intersections with span support
  * @param {HTMLTableElement} table - Table element
- * @param {number} colFreeze - Number of columns to freeze
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @param {number} [colFreezeEnd=0] - Number of trailing columns to freeze
  */
-export function applyCornerPriority(table, colFreeze) {
+export function applyCornerPriority(table, colFreeze, colFreezeEnd = 0) {
   try {
-    if (colFreeze <= 0) return;
-    
-    // Build cell matrix to properly identify corner cells with spans
-    const matrixData = buildCellMatrix(table);
-    const frozenColCells = getCellsForColumnFreeze(matrixData, colFreeze);
-    
+    if (toFrozenColumnList(colFreeze).length === 0 && colFreezeEnd <= 0) return;
+
     // Mark cells that are both column and row frozen
-    table.querySelectorAll('.freeze-col.freeze-row').forEach((cell) => {
+    const cornerSelector = [
+      ".freeze-col.freeze-row",
+      ".freeze-col-end.freeze-row",
+      ".freeze-col.freeze-row-end",
+      ".freeze-col-end.freeze-row-end",
+    ].join(", ");
+    table.querySelectorAll(cornerSelector).forEach((cell) => {
       // Cell has both classes - replace with freeze-both only (highest priority)
-      cell.classList.remove("freeze-col", "freeze-row");
+      cell.classList.remove("freeze-col", "freeze-col-end", "freeze-row", "freeze-row-end");
       cell.classList.add("freeze-both");
     });
   } catch (error) {
@@ -0,0 +1,341 @@
+/**
+ * Stylesheet Rendering for Frozen Cells
+ * @module utils/freeze-stylesheet
+ */
+
+/**
+ * Cell attributes naming the offset rule a frozen cell uses, keyed by side
+ * @type {Object<string, string>}
+ */
+export const FREEZE_SIDE_ATTRIBUTES = {
+  left: "data-freeze-left",
+  right: "data-freeze-right",
+  top: "data-freeze-top",
+  bottom: "data-freeze-bottom",
+};
+
+/**
+ * Cell attribute naming the background rule of a frozen cell
+ * @type {string}
+ */
+export const BACKGROUND_ATTRIBUTE = "data-freeze-bg";
+
+/**
+ * Custom property holding the resolved opaque background of one frozen cell
+ * @type {string}
+ */
+export const CELL_BACKGROUND_PROPERTY = "--freeze-cell-bg";
+
+/**
+ * Scope attribute identifying a table in its generated stylesheet
+ * @type {string}
+ */
+export const SCOPE_ATTRIBUTE = "data-freeze-scope";
+
+/**
+ * Container attribute naming the table whose stylesheet holds the container's scroll padding
+ * @type {string}
+ */
+export const CONTAINER_SCOPE_ATTRIBUTE = "data-freeze-container";
+
+/**
+ * Generated stylesheets keyed by table
+ * @type {WeakMap<HTMLTableElement, Object>}
+ */
+const stylesheets = new WeakMap();
+
+let nextScopeId = 1;
+
+/**
+ * Create a writer that renders frozen cells through a scoped stylesheet
+ * Cells only get a class and a data-freeze-{side} attribute naming their offset rule;
+ * offsets live in one stylesheet per table, written on commit(). With `relayout` set
+ * the cells are left alone and only the rules are rebuilt (the markup from the
+ * previous full pass is still valid); with `append` set the table's current rules
+ * are kept and extended (for rows added to an already frozen table)
+ * @param {HTMLTableElement} table - Table element
+ * @param {{relayout?: boolean, append?: boolean}} [options] - Writer options
+ * @returns {{stick: Function, mark: Function, paint: Function, property: Function, scrollPadding: Function, commit: Function}}
+ *   - Cell writer for the appliers
+ */
+export function createStylesheetWriter(table, { relayout = false, append = false } = {}) {
+  const current = append ? stylesheets.get(table) : null;
+  const rules = new Map(current ? current.rules : []);
+  const properties = new Map(current ? current.properties : []);
+  let containerRule = current ? current.containerRule : null;
+
+  return {
+    /**
+     * Make a cell sticky on one side
+     * @param {HTMLTableCellElement} cell - Cell element
+     * @param {string} side - "left", "right", "top" or "bottom"
+     * @param {number} key - Column or row index the offset belongs to
+     * @param {string} value - CSS offset value
+     */
+    stick(cell, side, key, value) {
+      const attr = FREEZE_SIDE_ATTRIBUTES[side];
+      if (!relayout && cell.getAttribute(attr) !== String(key)) {
+        cell.setAttribute(attr, String(key));
+      }
+      rules.set(`${side}|${key}`, { attr, key, declarations: `position: sticky; ${side}: ${value};` });
+    },
+
+    /**
+     * Add a freeze class to a cell
+     * @param {HTMLTableCellElement} cell - Cell element
+     * @param {string} className - Class name
+     */
+    mark(cell, className) {
+      if (!relayout) cell.classList.add(className);
+    },
+
+    /**
+     * Give a cell its resolved background; cells sharing a color share one rule
+     * @param {HTMLTableCellElement} cell - Cell element
+     * @param {string} color - CSS color
+     */
+    paint(cell, color) {
+      if (!relayout && cell.getAttribute(BACKGROUND_ATTRIBUTE) !== color) {
+        cell.setAttribute(BACKGROUND_ATTRIBUTE, color);
+      }
+      rules.set(`bg|${color}`, {
+        attr: BACKGROUND_ATTRIBUTE,
+        key: color,
+        declarations: `${CELL_BACKGROUND_PROPERTY}: ${color};`,
+      });
+    },
+
+    /**
+     * Set a custom property on the table
+     * @param {string} name - Property name
+     * @param {string} value - Property value
+     */
+    property(name, value) {
+      properties.set(name, value);
+    },
+
+    /**
+     * Set the scroll padding of the table container; the container is marked with the
+     * table's scope id and the declarations go into the table's stylesheet
+     * @param {HTMLElement} container - Table container
+     * @param {Object<string, string>} declarations - Scroll padding values by property name
+     */
+    scrollPadding(container, declarations) {
+      containerRule = Object.keys(declarations).length > 0 ? { container, declarations } : null;
+    },
+
+    /**
+     * Write the collected rules to the table's stylesheet
+     */
+    commit() {
+      writeFreezeStylesheet(table, rules, properties, containerRule);
+    },
+  };
+}
+
+/**
+ * Get the selector of a table's scope, assigning a scope id on first use
+ * @param {HTMLTableElement} table - Table element
+ * @returns {string} - Table selector
+ */
+function getScopeSelector(table) {
+  let scope = table.getAttribute(SCOPE_ATTRIBUTE);
+  if (!scope) {
+    scope = String(nextScopeId++);
+    table.setAttribute(SCOPE_ATTRIBUTE, scope);
+  }
+  return `table[${SCOPE_ATTRIBUTE}="${scope}"]`;
+}
+
+/**
+ * Build the stylesheet text for one table
+ * Child combinators keep the rules off cells of nested tables
+ * @param {string} scopeSelector - Table selector
+ * @param {Map} rules - Cell rules keyed by side and index (or by color)
+ * @param {Map} properties - Table custom properties
+ * @param {{declarations: Object<string, string>}|null} containerRule - Container scroll padding
+ * @param {string} scope - Scope id of the table
+ * @returns {string} - Stylesheet text
+ */
+function buildStylesheetText(scopeSelector, rules, properties, containerRule, scope) {
+  const lines = [];
+  if (containerRule) {
+    const declarations = Object.keys(containerRule.declarations)
+      .map((name) => `${name}: ${containerRule.declarations[name]};`)
+      .join(" ");
+    lines.push(`[${CONTAINER_SCOPE_ATTRIBUTE}="${scope}"] { ${declarations} }`);
+  }
+  if (properties.size > 0) {
+    const declarations = Array.from(properties, ([name, value]) => `${name}: ${value};`).join(" ");
+    lines.push(`${scopeSelector} { ${declarations} }`);
+  }
+  rules.forEach(({ attr, key, declarations }) => {
+    const cell = `[${attr}="${String(key).replace(/["\\]/g, "\\$&")}"]`;
+    lines.push(`${scopeSelector} > * > tr > ${cell}, ${scopeSelector} > tr > ${cell} { ${declarations} }`);
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Create an empty generated stylesheet in a document or shadow root
+ * Constructable stylesheets are adopted by the root when supported, otherwise a <style>
+ * element is used
+ * @param {Document|ShadowRoot} root - Root the stylesheet applies to
+ * @param {string} label - data-freeze-style value of a fallback <style> element
+ * @returns {{root: Document|ShadowRoot, sheet: CSSStyleSheet|null, element: HTMLStyleElement|null}} - Sheet entry
+ */
+export function createFreezeSheet(root, label) {
+  const canAdopt = "adoptedStyleSheets" in root &&
+    typeof CSSStyleSheet === "function" &&
+    typeof CSSStyleSheet.prototype.replaceSync === "function";
+  if (canAdopt) {
+    const sheet = new CSSStyleSheet();
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    return { root, sheet, element: null };
+  }
+  const element = document.createElement("style");
+  element.setAttribute("data-freeze-style", label);
+  (root.head || root).appendChild(element);
+  return { root, sheet: null, element };
+}
+
+/**
+ * Replace the text of a generated stylesheet
+ * @param {Object} entry - Sheet entry from createFreezeSheet
+ * @param {string} text - Stylesheet text
+ */
+export function setFreezeSheetText(entry, text) {
+  if (entry.sheet) {
+    entry.sheet.replaceSync(text);
+  } else {
+    entry.element.textContent = text;
+  }
+}
+
+/**
+ * Detach a generated stylesheet from its root
+ * @param {Object} entry - Sheet entry from createFreezeSheet
+ */
+export function removeFreezeSheet(entry) {
+  if (entry.sheet) {
+    entry.root.adoptedStyleSheets = entry.root.adoptedStyleSheets.filter((sheet) => sheet !== entry.sheet);
+  } else {
+    entry.element.remove();
+  }
+}
+
+/**
+ * Point a container at the table whose stylesheet holds its scroll padding
+ * @param {Object|null} entry - Current stylesheet entry of the table
+ * @param {{container: HTMLElement}|null} containerRule - New container rule
+ * @param {string} scope - Scope id of the table
+ */
+function markContainer(entry, containerRule, scope) {
+  const previous = entry && entry.containerRule ? entry.containerRule.container : null;
+  const container = containerRule ? containerRule.container : null;
+  if (previous && previous !== container && previous.getAttribute(CONTAINER_SCOPE_ATTRIBUTE) === scope) {
+    previous.removeAttribute(CONTAINER_SCOPE_ATTRIBUTE);
+  }
+  if (container && container.getAttribute(CONTAINER_SCOPE_ATTRIBUTE) !== scope) {
+    container.setAttribute(CONTAINER_SCOPE_ATTRIBUTE, scope);
+  }
+}
+
+/**
+ * Replace the text of a table's stylesheet, creating the sheet on first use
+ * The sheet lives in the table's root (document or shadow root)
+ * @param {HTMLTableElement} table - Table element
+ * @param {Map} rules - Cell rules keyed by side and index (or by color)
+ * @param {Map} properties - Table custom properties
+ * @param {{container: HTMLElement, declarations: Object<string, string>}|null} [containerRule=null] - Container scroll padding
+ */
+function writeFreezeStylesheet(table, rules, properties, containerRule = null) {
+  try {
+    const scopeSelector = getScopeSelector(table);
+    const scope = table.getAttribute(SCOPE_ATTRIBUTE);
+    const text = buildStylesheetText(scopeSelector, rules, properties, containerRule, scope);
+    let entry = stylesheets.get(table);
+    markContainer(entry, containerRule, scope);
+    if (entry && entry.text === text) {
+      entry.containerRule = containerRule;
+      return;
+    }
+
+    if (!entry) {
+      entry = createFreezeSheet(table.getRootNode(), scope);
+      stylesheets.set(table, entry);
+    }
+
+    setFreezeSheetText(entry, text);
+    Object.assign(entry, { text, rules, properties, containerRule });
+  } catch (error) {
+    console.error("Freeze Stylesheet: Error writing stylesheet", error);
+  }
+}
+
+/**
+ * Set a scroll offset custom property of a table through a one-rule stylesheet of its own
+ * Page scrolling only rewrites that small sheet; the host's style attribute and the table's
+ * main stylesheet are left alone. Tables without a generated stylesheet are skipped
+ * @param {HTMLTableElement} table - Table element
+ * @param {string} property - SCROLL_TOP_PROPERTY or SCROLL_BOTTOM_PROPERTY
+ * @param {number} offset - Offset in pixels
+ */
+export function setStylesheetScrollOffset(table, property, offset) {
+  try {
+    const entry = stylesheets.get(table);
+    if (!entry) return;
+    const value = `${offset}px`;
+    const offsets = entry.scrollOffsets || (entry.scrollOffsets = new Map());
+    if (offsets.get(property) === value) return;
+    offsets.set(property, value);
+
+    if (!entry.scrollSheet) {
+      entry.scrollSheet = createFreezeSheet(entry.root, `${table.getAttribute(SCOPE_ATTRIBUTE)}-scroll`);
+    }
+    const declarations = Array.from(offsets, ([name, offsetValue]) => `${name}: ${offsetValue};`).join(" ");
+    setFreezeSheetText(entry.scrollSheet, `${getScopeSelector(table)} { ${declarations} }`);
+  } catch (error) {
+    console.error("Freeze Stylesheet: Error setting scroll offset", error);
+  }
+}
+
+/**
+ * Drop the scroll offsets of a table (rows stuck by page scrolling go back to their places)
+ * @param {HTMLTableElement} table - Table element
+ */
+export function clearStylesheetScrollOffsets(table) {
+  const entry = stylesheets.get(table);
+  if (!entry || !entry.scrollSheet) return;
+  removeFreezeSheet(entry.scrollSheet);
+  entry.scrollSheet = null;
+  entry.scrollOffsets = null;
+}
+
+/**
+ * Check whether a table has a generated stylesheet
+ * @param {HTMLTableElement} table - Table element
+ * @returns {boolean} - True if a stylesheet exists
+ */
+export function hasFreezeStylesheet(table) {
+  return stylesheets.has(table);
+}
+
+/**
+ * Remove the generated stylesheet and scope of a table
+ * @param {HTMLTableElement} table - Table element
+ */
+export function removeFreezeStylesheet(table) {
+  try {
+    const entry = stylesheets.get(table);
+    if (entry) {
+      markContainer(entry, null, table.getAttribute(SCOPE_ATTRIBUTE));
+      clearStylesheetScrollOffsets(table);
+      removeFreezeSheet(entry);
+      stylesheets.delete(table);
+    }
+    table.removeAttribute(SCOPE_ATTRIBUTE);
+  } catch (error) {
+    console.error("Freeze Stylesheet: Error removing stylesheet", error);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Hash Navigation into Frozen Tables
+ * @module utils/hash-navigation
+ */
+
+/**
+ * Class added to cells while they are highlighted as a navigation target
+ * @type {string}
+ */
+export const TARGET_CLASS = "freeze-target";
+
+/**
+ * How long navigation targets stay highlighted, in milliseconds
+ * @type {number}
+ */
+export const TARGET_HIGHLIGHT_DURATION = 1500;
+
+/**
+ * Resolve the element a URL hash points to (by id, falling back to a named anchor)
+ * @param {string} hash - Location hash including the leading "#"
+ * @returns {Element|null} - Target element, or null if the hash names none
+ */
+export function resolveHashTarget(hash) {
+  if (!hash || hash.length < 2) return null;
+  let id = hash.slice(1);
+  try {
+    id = decodeURIComponent(id);
+  } catch (error) {
+    // Malformed escapes are looked up as written, like browsers do
+  }
+  try {
+    return document.getElementById(id) || document.getElementsByName(id)[0] || null;
+  } catch (error) {
+    console.error("Hash Navigation: Error resolving hash target", error);
+    return null;
+  }
+}
+
+/**
+ * Get the cells a navigation target stands for within a table
+ * A row stands for all of its cells; an element inside a cell for that cell
+ * @param {Element} target - Target element
+ * @param {HTMLTableElement} table - Table the target belongs to
+ * @returns {HTMLTableCellElement[]} - Target cells (empty if the target is not in a row of the table)
+ */
+export function getTargetCells(target, table) {
+  try {
+    const row = target.closest("tr");
+    if (!row || row.closest("table") !== table) return [];
+    if (target === row) return Array.from(row.cells);
+    const cell = target.closest("td, th");
+    return cell && cell.parentElement === row ? [cell] : [];
+  } catch (error) {
+    console.error("Hash Navigation: Error resolving target cells", error);
+    return [];
+  }
+}
+
+/**
+ * Highlight navigation target cells briefly
+ * @param {HTMLTableCellElement[]} cells - Cells to highlight
+ * @param {number} [duration=TARGET_HIGHLIGHT_DURATION] - Highlight duration in milliseconds
+ * @returns {Function} - Removes the highlight early
+ */
+export function highlightCells(cells, duration = TARGET_HIGHLIGHT_DURATION) {
+  const clear = () => {
+    clearTimeout(timer);
+    cells.forEach((cell) => {
+      cell.classList.remove(TARGET_CLASS);
+      if (cell.getAttribute("class") === "") cell.removeAttribute("class");
+    });
+  };
+  cells.forEach((cell) => cell.classList.add(TARGET_CLASS));
+  const timer = setTimeout(clear, duration);
+  return clear;
+}
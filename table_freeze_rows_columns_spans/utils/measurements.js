@@ -4,27 +4,133 @@
  */
 
 import { getHeaderRows } from './dom-helpers.js';
+import { getCellMatrix, getColumnElements } from './span-helpers.js';
 
 /**
- * Measure column widths from first row
+ * Measure column widths from the span matrix
+ * Each column takes the rendered width of a cell that spans only that column; columns
+ * covered only by colspan cells are solved from those cells, then from declared
+ * widths (<col> width or the editor360 colwidth attribute), then split evenly
  * @param {HTMLTableElement} table - Table element
- * @returns {number[]} - Array of column widths
+ * @returns {number[]} - Array of column widths, one per matrix column
  */
 export function measureColumnWidths(table) {
   try {
-    const firstRow = table.querySelector("thead tr") || table.querySelector("tbody tr");
-    if (!firstRow || !firstRow.children || firstRow.children.length === 0) return [];
-    return Array.from(firstRow.children).map((cell) => {
-      if (!cell) return 0;
-      const rect = cell.getBoundingClientRect();
-      return Math.max(0, rect.width || 0);
-    });
+    const { cellInfo, maxCol } = getCellMatrix(table);
+    if (maxCol === 0) return [];
+
+    const widths = new Array(maxCol).fill(undefined);
+    const spannedCells = [];
+    let known = 0;
+
+    // Single-span cells give exact widths; the first one found per column is enough
+    for (const [cell, info] of cellInfo) {
+      if (info.colspan === 1) {
+        if (widths[info.col] === undefined) {
+          widths[info.col] = Math.max(0, cell.getBoundingClientRect().width || 0);
+          known += 1;
+        }
+      } else {
+        spannedCells.push({ cell, info, width: null });
+      }
+      if (known === maxCol) break;
+    }
+
+    if (known < maxCol) {
+      const declared = getDeclaredColumnWidths(table, cellInfo);
+      solveSpannedWidths(widths, spannedCells, false);
+      declared.forEach((width, col) => {
+        if (widths[col] === undefined && width > 0) widths[col] = width;
+      });
+      solveSpannedWidths(widths, spannedCells, true);
+    }
+
+    return widths.map((width) => width || 0);
   } catch (error) {
     console.error("Measurement: Error measuring column widths", error);
     return [];
   }
 }
 
+/**
+ * Fill unknown column widths from colspan cells
+ * A cell whose spanned columns have one unknown width solves it exactly; with
+ * `split` set, several unknown columns share the remaining width evenly
+ * @param {Array<number|undefined>} widths - Column widths, updated in place
+ * @param {Array<{cell: HTMLTableCellElement, info: Object, width: number|null}>} spannedCells - Colspan cells
+ * @param {boolean} split - Whether to split remaining width over several unknown columns
+ */
+function solveSpannedWidths(widths, spannedCells, split) {
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const entry of spannedCells) {
+      const { info } = entry;
+      const unknown = [];
+      let knownWidth = 0;
+      for (let c = info.col; c < info.col + info.colspan && c < widths.length; c++) {
+        if (widths[c] === undefined) {
+          unknown.push(c);
+        } else {
+          knownWidth += widths[c];
+        }
+      }
+      if (unknown.length === 0 || (unknown.length > 1 && !split)) continue;
+
+      // Measure lazily: only cells that can fill a gap are read
+      if (entry.width === null) {
+        entry.width = Math.max(0, entry.cell.getBoundingClientRect().width || 0);
+      }
+      const share = Math.max(0, entry.width - knownWidth) / unknown.length;
+      unknown.forEach((c) => {
+        widths[c] = share;
+      });
+      progress = true;
+    }
+  }
+}
+
+/**
+ * Read declared column widths from <col> elements and the editor360 colwidth attribute
+ * @param {HTMLTableElement} table - Table element
+ * @param {Map} cellInfo - Cell info from the matrix
+ * @returns {number[]} - Sparse array of declared widths in pixels, indexed by column
+ */
+function getDeclaredColumnWidths(table, cellInfo) {
+  const declared = [];
+  const toPixels = (value) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/.exec(value || "");
+    return match ? parseFloat(match[1]) : 0;
+  };
+
+  try {
+    // <col> width applies to each column it spans
+    getColumnElements(table).forEach(({ element, col, span }) => {
+      const width = toPixels(element.style.width) || toPixels(element.getAttribute("width"));
+      if (width <= 0) return;
+      for (let c = col; c < col + span; c++) {
+        declared[c] = width;
+      }
+    });
+
+    // colwidth lists one width per spanned column, e.g. colwidth="120,80"
+    cellInfo.forEach((info, cell) => {
+      const colwidth = cell.getAttribute("colwidth");
+      if (!colwidth) return;
+      colwidth.split(",").forEach((value, offset) => {
+        const width = toPixels(value);
+        if (width > 0 && offset < info.colspan && declared[info.col + offset] === undefined) {
+          declared[info.col + offset] = width;
+        }
+      });
+    });
+  } catch (error) {
+    console.error("Measurement: Error reading declared column widths", error);
+  }
+
+  return declared;
+}
+
 /**
  * Measure header row heights (from thead or tbody header rows)
  * @param {HTMLTableElement} table - Table element
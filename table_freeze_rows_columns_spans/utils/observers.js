@@ -3,18 +3,19 @@
  * @module utils/observers
  */
 
+import { TABLE_SELECTOR, queryFreezeTables } from './dom-helpers.js';
+
 /**
  * Create and manage ResizeObserver for table layout updates
- * @param {Function} callback - Callback function when resize detected
- * @param {number} rafId - RAF ID reference for debouncing
+ * @param {Function} callback - Callback function when resize detected, receives the entries
  * @returns {ResizeObserver|null} - ResizeObserver instance
  */
 export function createResizeObserver(callback) {
   try {
     if (!window.ResizeObserver) return null;
 
-    return new ResizeObserver(() => {
-      callback();
+    return new ResizeObserver((entries) => {
+      callback(entries);
     });
   } catch (error) {
     console.error("Observer: Failed to create ResizeObserver", error);
@@ -26,9 +27,10 @@ export function createResizeObserver(callback) {
  * Create IntersectionObserver for viewport tracking
  * @param {Function} callback - Callback for intersection changes
  * @param {number} rootMargin - Root margin offset
+ * @param {Element|null} [root=null] - Scroll root element (null for the viewport)
  * @returns {IntersectionObserver|null} - IntersectionObserver instance
  */
-export function createIntersectionObserver(callback, rootMargin) {
+export function createIntersectionObserver(callback, rootMargin, root = null) {
   try {
     if (!window.IntersectionObserver) {
       console.warn("Observer: IntersectionObserver not supported");
@@ -36,6 +38,7 @@ export function createIntersectionObserver(callback, rootMargin) {
     }
 
     return new IntersectionObserver(callback, {
+      root,
       rootMargin: `${-rootMargin}px 0px ${rootMargin}px 0px`,
       threshold: 0
     });
@@ -45,52 +48,226 @@ export function createIntersectionObserver(callback, rootMargin) {
   }
 }
 
+/**
+ * Table attributes whose changes require the table to be re-frozen
+ * @type {string[]}
+ */
+export const FREEZE_ATTRIBUTES = [
+  "data-col-freeze",
+  "data-col-freeze-end",
+  "data-row-freeze",
+  "data-row-freeze-end",
+  "data-freeze-scroll",
+  "dir",
+  "class",
+];
+
+/**
+ * Cell and column attributes whose changes alter the cached matrix of a table
+ * @type {string[]}
+ */
+export const STRUCTURE_ATTRIBUTES = ["colspan", "rowspan", "span", "data-freeze"];
+
+/**
+ * Elements whose structure attributes feed the cached matrix
+ * @type {Set<string>}
+ */
+const STRUCTURE_ATTRIBUTE_TAGS = new Set(["TD", "TH", "COL", "COLGROUP"]);
+
+/**
+ * Check whether an attribute mutation on a table changes its freeze setup
+ * @param {MutationRecord} mutation - Attribute mutation record
+ * @returns {boolean} - True if the table must be re-frozen
+ */
+function isFreezeAttributeChange(mutation) {
+  const table = mutation.target;
+  if (mutation.attributeName === "class") {
+    // State classes toggle often; only care whether the table (un)matches the selector
+    const probe = document.createElement("table");
+    probe.className = mutation.oldValue || "";
+    return probe.matches(TABLE_SELECTOR) !== table.matches(TABLE_SELECTOR);
+  }
+  return mutation.oldValue !== table.getAttribute(mutation.attributeName);
+}
+
+/**
+ * Elements whose child list changes affect the row structure of a table
+ * @type {Set<string>}
+ */
+const TABLE_STRUCTURE_TAGS = new Set(["TABLE", "THEAD", "TBODY", "TFOOT", "TR", "COLGROUP"]);
+
+/**
+ * Get (or create) the pending row change entry for a table
+ * @param {Map} rowChanges - Map of table -> { added, removed, structural }
+ * @param {HTMLTableElement} table - Table element
+ * @returns {{added: Set, removed: Set, structural: boolean}} - Row change entry
+ */
+function getRowChange(rowChanges, table) {
+  let change = rowChanges.get(table);
+  if (!change) {
+    change = { added: new Set(), removed: new Set(), structural: false };
+    rowChanges.set(table, change);
+  }
+  return change;
+}
+
+/**
+ * Record a span or data-freeze change on a cell/column as a structural change of its table
+ * @param {MutationRecord} mutation - Attribute mutation record
+ * @param {Map} rowChanges - Map of table -> { added, removed, structural }
+ */
+function collectStructureAttributeChange(mutation, rowChanges) {
+  const element = mutation.target;
+  if (!STRUCTURE_ATTRIBUTE_TAGS.has(element.tagName)) return;
+  if (mutation.oldValue === element.getAttribute(mutation.attributeName)) return;
+
+  const table = element.closest("table");
+  if (table) {
+    getRowChange(rowChanges, table).structural = true;
+  }
+}
+
+/**
+ * Check whether adding or removing a row moves cells of other rows in the span matrix
+ * That is the case when the row has a rowspan itself or sits under a rowspan of an earlier row
+ * of its section (rowspans never cross sections)
+ * @param {HTMLTableRowElement} row - Added or removed row
+ * @param {Node|null} previousSibling - Node before the row's position in its section
+ * @returns {boolean} - True if other rows shift columns
+ */
+function shiftsSpans(row, previousSibling) {
+  if (Array.from(row.cells).some((cell) => cell.rowSpan !== 1)) return true;
+  let distance = 1;
+  for (let node = previousSibling; node; node = node.previousSibling) {
+    if (node.nodeType !== 1 || node.tagName !== "TR") continue;
+    // rowspan="0" spans to the end of the section
+    if (Array.from(node.cells).some((cell) => cell.rowSpan === 0 || cell.rowSpan > distance)) return true;
+    distance++;
+  }
+  return false;
+}
+
+/**
+ * Record a child list mutation inside a table as a row-level change
+ * Rows added/removed directly in a section are tracked individually; any other
+ * structural change (cells, sections, rows that shift rowspans) marks the table as structurally changed
+ * @param {MutationRecord} mutation - Child list mutation record
+ * @param {Map} rowChanges - Map of table -> { added, removed, structural }
+ */
+function collectRowChange(mutation, rowChanges) {
+  const target = mutation.target;
+  if (!target || !TABLE_STRUCTURE_TAGS.has(target.tagName)) return;
+
+  const table = target.tagName === "TABLE" ? target : target.closest("table");
+  if (!table) return;
+
+  const isElement = (node) => node.nodeType === 1;
+  const added = Array.from(mutation.addedNodes).filter(isElement);
+  const removed = Array.from(mutation.removedNodes).filter(isElement);
+  if (added.length === 0 && removed.length === 0) return;
+
+  const change = getRowChange(rowChanges, table);
+
+  const isRowOfSection = target.tagName !== "TR";
+  added.forEach((node) => {
+    if (isRowOfSection && node.tagName === "TR") {
+      const previousSibling = node.parentNode === target ? node.previousSibling : mutation.previousSibling;
+      if (shiftsSpans(node, previousSibling)) change.structural = true;
+      change.added.add(node);
+    } else {
+      change.structural = true;
+    }
+  });
+  removed.forEach((node) => {
+    if (isRowOfSection && node.tagName === "TR") {
+      if (shiftsSpans(node, mutation.previousSibling)) change.structural = true;
+      // A row added and removed within the same batch never needs styling
+      if (!change.added.delete(node)) {
+        change.removed.add(node);
+      }
+    } else {
+      change.structural = true;
+    }
+  });
+}
+
+/**
+ * Sort mutation records into the changes the controller acts on
+ * `shouldRefresh` is true when freeze tables were added or removed, `changedTables` holds
+ * tables whose freeze attributes or class changed and `rowChanges` maps tables to rows
+ * added/removed inside them (`structural` is set when cells, sections, spans or data-freeze
+ * markers changed)
+ * @param {MutationRecord[]} mutations - Mutation records
+ * @returns {{shouldRefresh: boolean, changedTables: Set, rowChanges: Map}|null} - Changes, or null if none matter
+ */
+export function collectMutations(mutations) {
+  // Only refresh if new tables were added or removed
+  let shouldRefresh = false;
+  const changedTables = new Set();
+  const rowChanges = new Map();
+  
+  for (const mutation of mutations) {
+    if (mutation.type === "attributes") {
+      if (STRUCTURE_ATTRIBUTES.includes(mutation.attributeName)) {
+        collectStructureAttributeChange(mutation, rowChanges);
+      } else if (mutation.target.tagName === "TABLE" && isFreezeAttributeChange(mutation)) {
+        changedTables.add(mutation.target);
+      }
+      continue;
+    }
+    collectRowChange(mutation, rowChanges);
+    if (shouldRefresh) continue;
+
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType === 1) {
+        if (node.matches && node.matches(TABLE_SELECTOR)) {
+          shouldRefresh = true;
+          break;
+        }
+        if (node.querySelector && node.querySelector(TABLE_SELECTOR)) {
+          shouldRefresh = true;
+          break;
+        }
+      }
+    }
+    for (const node of mutation.removedNodes) {
+      if (node.nodeType === 1) {
+        if (node.matches && node.matches(TABLE_SELECTOR)) {
+          shouldRefresh = true;
+          break;
+        }
+      }
+    }
+  }
+
+  if (shouldRefresh || changedTables.size > 0 || rowChanges.size > 0) {
+    return { shouldRefresh, changedTables, rowChanges };
+  }
+  return null;
+}
+
 /**
  * Create MutationObserver for dynamic content changes
+ * The callback receives the changes from collectMutations
  * @param {Function} callback - Callback for mutations
+ * @param {string[]} [attributes=[]] - Additional table attributes that require re-freezing
  * @returns {MutationObserver|null} - MutationObserver instance
  */
-export function createMutationObserver(callback) {
+export function createMutationObserver(callback, attributes = []) {
   try {
     if (!window.MutationObserver) return null;
 
     const observer = new MutationObserver((mutations) => {
-      // Only refresh if new tables were added or removed
-      let shouldRefresh = false;
-      
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === 1) {
-            if (node.matches && node.matches("table.freeze-table, table.editor360-table")) {
-              shouldRefresh = true;
-              break;
-            }
-            if (node.querySelector && node.querySelector("table.freeze-table, table.editor360-table")) {
-              shouldRefresh = true;
-              break;
-            }
-          }
-        }
-        for (const node of mutation.removedNodes) {
-          if (node.nodeType === 1) {
-            if (node.matches && node.matches("table.freeze-table, table.editor360-table")) {
-              shouldRefresh = true;
-              break;
-            }
-          }
-        }
-        if (shouldRefresh) break;
-      }
-
-      if (shouldRefresh) {
-        callback();
-      }
+      const changes = collectMutations(mutations);
+      if (changes) callback(changes);
     });
 
     observer.observe(document.body, {
       childList: true,
       subtree: true,
-      attributes: false,
+      attributes: true,
+      attributeOldValue: true,
+      attributeFilter: [...FREEZE_ATTRIBUTES, ...attributes, ...STRUCTURE_ATTRIBUTES],
       characterData: false,
     });
 
@@ -101,16 +278,64 @@ export function createMutationObserver(callback) {
   }
 }
 
+/**
+ * Root and body attributes that themes are commonly switched through
+ * @type {string[]}
+ */
+export const THEME_ATTRIBUTES = ["class", "style", "data-theme", "data-bs-theme", "data-color-scheme"];
+
+/**
+ * Watch for theme and color-scheme changes that can alter cell backgrounds
+ * Fires on THEME_ATTRIBUTES changes of <html> and <body> and on prefers-color-scheme changes
+ * @param {Function} callback - Called without arguments on every change
+ * @returns {{disconnect: Function}|null} - Handle to stop watching
+ */
+export function createThemeObserver(callback) {
+  try {
+    const observer = window.MutationObserver ? new MutationObserver(() => callback()) : null;
+    if (observer) {
+      [document.documentElement, document.body].forEach((element) => {
+        observer.observe(element, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+      });
+    }
+
+    const media = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+    const onSchemeChange = () => callback();
+    if (media) {
+      if (media.addEventListener) {
+        media.addEventListener("change", onSchemeChange);
+      } else {
+        media.addListener(onSchemeChange);
+      }
+    }
+
+    return {
+      disconnect() {
+        if (observer) observer.disconnect();
+        if (!media) return;
+        if (media.removeEventListener) {
+          media.removeEventListener("change", onSchemeChange);
+        } else {
+          media.removeListener(onSchemeChange);
+        }
+      },
+    };
+  } catch (error) {
+    console.error("Observer: Failed to create theme observer", error);
+    return null;
+  }
+}
+
 /**
  * Sync observers with current DOM tables
  * @param {Map} observedTables - Map of observed tables
  * @param {ResizeObserver} resizeObserver - ResizeObserver instance
  * @param {IntersectionObserver} intersectionObserver - IntersectionObserver instance
  * @param {Set} tablesInStickyZone - Set of tables in sticky zone
+ * @param {HTMLTableElement[]} [tables] - Tables that should be observed (defaults to markup tables)
  */
-export function syncObservers(observedTables, resizeObserver, intersectionObserver, tablesInStickyZone) {
+export function syncObservers(observedTables, resizeObserver, intersectionObserver, tablesInStickyZone, tables = queryFreezeTables()) {
   try {
-    const tables = document.querySelectorAll("table.freeze-table, table.editor360-table");
     
     // Add new tables to observers
     tables.forEach((table) => {
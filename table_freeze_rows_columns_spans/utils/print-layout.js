@@ -0,0 +1,58 @@
+/**
+ * Print Layout for Frozen Tables
+ * @module utils/print-layout
+ */
+
+import { getCellMatrix } from './span-helpers.js';
+
+/**
+ * Move the frozen top rows of a table into its <thead>, so browsers repeat them on every
+ * printed page; rows already in the <thead> stay where they are
+ * Rows are left in place when a rowspan would cross from the frozen rows into the body,
+ * since moving them would cut the span at the section boundary
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} rowFreeze - Number of frozen rows
+ * @returns {Function} - Restores the original row placement (a no-op when nothing moved)
+ */
+export function moveFrozenRowsToHead(table, rowFreeze) {
+  const noop = () => {};
+  try {
+    if (rowFreeze <= 0) return noop;
+
+    const { rows, cellInfo } = getCellMatrix(table);
+    const frozenRows = rows.slice(0, rowFreeze);
+    const head = table.tHead;
+    const bodyRows = frozenRows.filter((row) => row.parentElement !== head);
+    if (bodyRows.length === 0) return noop;
+
+    const crossesBoundary = frozenRows.some((row) =>
+      Array.from(row.cells).some((cell) => {
+        const info = cellInfo.get(cell);
+        return info && info.row + info.rowspan > rowFreeze;
+      })
+    );
+    if (crossesBoundary) return noop;
+
+    const moves = bodyRows.map((row) => ({ row, parent: row.parentElement, nextSibling: row.nextSibling }));
+    const createdHead = !head;
+    const target = head || table.createTHead();
+    bodyRows.forEach((row) => target.appendChild(row));
+
+    return () => {
+      try {
+        // Reverse order restores each row before the sibling it was recorded against
+        moves.slice().reverse().forEach(({ row, parent, nextSibling }) => {
+          parent.insertBefore(row, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+        });
+        if (createdHead && target.rows.length === 0) {
+          target.remove();
+        }
+      } catch (error) {
+        console.error("Print Layout: Error restoring frozen rows", error);
+      }
+    };
+  } catch (error) {
+    console.error("Print Layout: Error moving frozen rows", error);
+    return noop;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Responsive Freeze Configuration
+ * @module utils/responsive-freeze
+ */
+
+import { getFreezeCount } from './dom-helpers.js';
+import { getFrozenInsets } from './scroll-padding.js';
+
+/**
+ * Default breakpoints: minimum container widths in pixels, keyed by attribute suffix
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_BREAKPOINTS = { sm: 576, md: 768, lg: 992, xl: 1200 };
+
+/**
+ * Table attribute holding a JSON breakpoint map
+ * @type {string}
+ */
+export const BREAKPOINTS_ATTRIBUTE = "data-freeze-breakpoints";
+
+/**
+ * Freeze count attributes with the breakpoint map key that overrides each of them
+ * @type {Array<[string, string]>}
+ */
+const COUNT_ATTRIBUTES = [
+  ["data-col-freeze", "cols"],
+  ["data-col-freeze-end", "colsEnd"],
+  ["data-row-freeze", "rows"],
+  ["data-row-freeze-end", "rowsEnd"],
+];
+
+/**
+ * Get every table attribute responsive freezing reads for the given breakpoints
+ * (e.g. data-col-freeze-md), so attribute changes can be observed
+ * @param {Object<string, number>} [breakpoints=DEFAULT_BREAKPOINTS] - Breakpoint map
+ * @returns {string[]} - Attribute names
+ */
+export function getResponsiveAttributes(breakpoints = DEFAULT_BREAKPOINTS) {
+  const names = [BREAKPOINTS_ATTRIBUTE];
+  Object.keys(breakpoints).forEach((name) => {
+    COUNT_ATTRIBUTES.forEach(([attrName]) => names.push(`${attrName}-${name}`));
+  });
+  return names;
+}
+
+/**
+ * Read the JSON breakpoint map of a table as override steps
+ * Keys are breakpoint names or pixel widths; values use the freeze() config shape
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object<string, number>} breakpoints - Breakpoint map
+ * @returns {Array<{min: number, counts: Object}>} - Override steps
+ */
+function getBreakpointMapSteps(table, breakpoints) {
+  const raw = table.getAttribute(BREAKPOINTS_ATTRIBUTE);
+  if (!raw) return [];
+  try {
+    const map = JSON.parse(raw);
+    if (!map || typeof map !== "object" || Array.isArray(map)) {
+      console.warn(`Responsive Freeze: ${BREAKPOINTS_ATTRIBUTE} must be a JSON object`);
+      return [];
+    }
+    const steps = [];
+    Object.keys(map).forEach((key) => {
+      const min = Object.prototype.hasOwnProperty.call(breakpoints, key) ? breakpoints[key] : Number(key);
+      if (!Number.isFinite(min) || !map[key] || typeof map[key] !== "object") {
+        console.warn(`Responsive Freeze: Ignoring breakpoint "${key}" in ${BREAKPOINTS_ATTRIBUTE}`);
+        return;
+      }
+      steps.push({ min, counts: map[key] });
+    });
+    return steps;
+  } catch (error) {
+    console.warn(`Responsive Freeze: Invalid JSON in ${BREAKPOINTS_ATTRIBUTE}`, error);
+    return [];
+  }
+}
+
+/**
+ * Normalize a freeze count override
+ * @param {*} value - Override value
+ * @returns {number} - Non-negative integer count
+ */
+function toCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : 0;
+}
+
+/**
+ * Get the freeze counts of a table for a container width
+ * Mobile first: the base attributes apply at every width; each breakpoint whose minimum
+ * width fits overrides them, smallest first. Suffixed attributes (data-col-freeze-md)
+ * apply before the data-freeze-breakpoints entry of the same width
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} width - Available container width in pixels
+ * @param {Object<string, number>} [breakpoints=DEFAULT_BREAKPOINTS] - Breakpoint map
+ * @returns {{colFreeze: number, colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}} - Freeze counts
+ */
+export function getResponsiveFreezeCounts(table, width, breakpoints = DEFAULT_BREAKPOINTS) {
+  const counts = {
+    cols: getFreezeCount(table, "data-col-freeze"),
+    colsEnd: getFreezeCount(table, "data-col-freeze-end"),
+    rows: getFreezeCount(table, "data-row-freeze"),
+    rowsEnd: getFreezeCount(table, "data-row-freeze-end"),
+  };
+  try {
+    const steps = [];
+    Object.keys(breakpoints).forEach((name) => {
+      const overrides = {};
+      COUNT_ATTRIBUTES.forEach(([attrName, key]) => {
+        const attr = `${attrName}-${name}`;
+        if (table.hasAttribute(attr)) overrides[key] = getFreezeCount(table, attr);
+      });
+      if (Object.keys(overrides).length > 0) {
+        steps.push({ min: breakpoints[name], counts: overrides });
+      }
+    });
+    steps.push(...getBreakpointMapSteps(table, breakpoints));
+
+    // Array sort is stable, so attribute steps stay ahead of map steps of the same width
+    steps
+      .sort((a, b) => a.min - b.min)
+      .filter(({ min }) => width >= min)
+      .forEach((step) => {
+        COUNT_ATTRIBUTES.forEach(([, key]) => {
+          if (step.counts[key] !== undefined) counts[key] = toCount(step.counts[key]);
+        });
+      });
+  } catch (error) {
+    console.error("Responsive Freeze: Error resolving breakpoints", error);
+  }
+  return {
+    colFreeze: counts.cols,
+    colFreezeEnd: counts.colsEnd,
+    rowFreeze: counts.rows,
+    rowFreezeEnd: counts.rowsEnd,
+  };
+}
+
+/**
+ * Get the size limit of a frozen area from a maxFrozenWidth / maxFrozenHeight option
+ * @param {number} size - Container width or visible height in pixels
+ * @param {number|false} fraction - Option value (0, Infinity or false turns the guard off)
+ * @returns {number} - Largest frozen size in pixels (Infinity when the guard is off)
+ */
+export function getFreezeLimit(size, fraction) {
+  if (!fraction || fraction === Infinity) return Infinity;
+  return size * fraction;
+}
+
+/**
+ * Reduce a freeze configuration until the frozen area fits the given limits
+ * Column freezing gives up trailing (end zone) columns first, then leading columns from
+ * the innermost; row freezing gives up footer rows first, then header rows from the bottom
+ * @param {{frozenColumns: number[], colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}} config - Freeze configuration
+ * @param {{widths: number[], rowHeights: number[]}} measured - Result from measureFreezeLayout for the configuration
+ * @param {Object} limits - Size limits
+ * @param {number} limits.maxWidth - Maximum total width of frozen columns in pixels
+ * @param {number} limits.maxHeight - Maximum total height of frozen rows in pixels
+ * @param {number} limits.rowCount - Number of logical rows in the table
+ * @returns {Object} - The same config when it fits, otherwise a reduced copy with `reduced: true`
+ */
+export function limitFreezeConfig(config, measured, { maxWidth, maxHeight, rowCount }) {
+  const frozenColumns = config.frozenColumns.slice();
+  let { colFreezeEnd, rowFreeze, rowFreezeEnd } = config;
+  const getInsets = () => getFrozenInsets(measured, { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd }, rowCount);
+
+  const columnsWidth = () => {
+    const { start, end } = getInsets();
+    return start + end;
+  };
+  while ((colFreezeEnd > 0 || frozenColumns.length > 0) && columnsWidth() > maxWidth) {
+    if (colFreezeEnd > 0) {
+      colFreezeEnd -= 1;
+    } else {
+      frozenColumns.pop();
+    }
+  }
+
+  const rowsHeight = () => {
+    const { top, bottom } = getInsets();
+    return top + bottom;
+  };
+  while ((rowFreezeEnd > 0 || rowFreeze > 0) && rowsHeight() > maxHeight) {
+    if (rowFreezeEnd > 0) {
+      rowFreezeEnd -= 1;
+    } else {
+      rowFreeze -= 1;
+    }
+  }
+
+  const reduced = frozenColumns.length !== config.frozenColumns.length ||
+    colFreezeEnd !== config.colFreezeEnd ||
+    rowFreeze !== config.rowFreeze ||
+    rowFreezeEnd !== config.rowFreezeEnd;
+  return reduced ? { ...config, frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd, reduced } : config;
+}
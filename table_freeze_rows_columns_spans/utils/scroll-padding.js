@@ -0,0 +1,199 @@
+/**
+ * Scroll Padding and Cell Reveal Around Frozen Panes
+ * @module utils/scroll-padding
+ */
+
+import { createFreezeSheet, setFreezeSheetText, removeFreezeSheet } from './freeze-stylesheet.js';
+
+/**
+ * Attribute that selects the scroll root in the root scroll padding stylesheet
+ * @type {string}
+ */
+export const SCROLL_ROOT_ATTRIBUTE = "data-freeze-scroll-root";
+
+/**
+ * Scroll padding the page gave each container, read before the controller first adds to it
+ * @type {WeakMap<HTMLElement, Object<string, number>>}
+ */
+const containerBases = new WeakMap();
+
+/**
+ * Root scroll padding stylesheets keyed by scroll root, with the page's own padding
+ * @type {WeakMap<HTMLElement, {entry: Object, base: {top: number, bottom: number}}>}
+ */
+const rootSheets = new WeakMap();
+
+/**
+ * Scroll padding sides a container can get, by frozen inset
+ * @type {Object<string, string>}
+ */
+const CONTAINER_PADDING_SIDES = {
+  start: "scroll-padding-inline-start",
+  end: "scroll-padding-inline-end",
+  top: "scroll-padding-top",
+  bottom: "scroll-padding-bottom",
+};
+
+/**
+ * Read the computed scroll padding of an element
+ * "auto" and other non-length values count as 0
+ * @param {HTMLElement} element - Scroll container
+ * @param {string[]} properties - Scroll padding properties
+ * @returns {Object<string, number>} - Padding in pixels by property name
+ */
+function readScrollPadding(element, properties) {
+  const style = window.getComputedStyle(element);
+  const padding = {};
+  properties.forEach((property) => {
+    padding[property] = parseFloat(style.getPropertyValue(property)) || 0;
+  });
+  return padding;
+}
+
+/**
+ * Get the size of the frozen area on each edge of a table
+ * @param {{widths: number[], rowHeights: number[]}} measured - Result from measureFreezeLayout for the configuration
+ * @param {{frozenColumns: number[], colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}} config - Freeze configuration
+ * @param {number} rowCount - Number of logical rows in the table
+ * @returns {{start: number, end: number, top: number, bottom: number}} - Frozen sizes in pixels
+ *   (start and end are inline sides: the right edge is the start of an RTL table)
+ */
+export function getFrozenInsets(measured, { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd }, rowCount) {
+  const { widths, rowHeights } = measured;
+  const insets = { start: 0, end: 0, top: 0, bottom: 0 };
+
+  frozenColumns.forEach((col) => {
+    insets.start += widths[col] || 0;
+  });
+  if (colFreezeEnd > 0) {
+    const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+    for (let col = Math.max(lastFrozenCol + 1, widths.length - colFreezeEnd); col < widths.length; col++) {
+      insets.end += widths[col] || 0;
+    }
+  }
+
+  for (let row = 0; row < rowFreeze; row++) insets.top += rowHeights[row] || 0;
+  if (rowFreezeEnd > 0) {
+    for (let row = Math.max(rowFreeze, rowCount - rowFreezeEnd); row < rowCount; row++) {
+      insets.bottom += rowHeights[row] || 0;
+    }
+  }
+  return insets;
+}
+
+/**
+ * Get the scroll padding that keeps focus and scrollIntoView() scrolling of a table
+ * container clear of its frozen panes
+ * Only sides with a frozen pane get a value: the page's own padding plus the pane size.
+ * Top and bottom count only when the container also scrolls vertically. The page's
+ * padding is read once, before the controller first writes to the container
+ * @param {HTMLElement} container - Table container
+ * @param {{start: number, end: number, top: number, bottom: number}} insets - Frozen sizes from getFrozenInsets
+ * @param {boolean} vertical - True if the container scrolls vertically itself
+ * @returns {Object<string, string>} - Scroll padding values by property name (empty when nothing is frozen)
+ */
+export function getContainerScrollPadding(container, insets, vertical) {
+  const declarations = {};
+  try {
+    let base = containerBases.get(container);
+    if (!base) {
+      base = readScrollPadding(container, Object.values(CONTAINER_PADDING_SIDES));
+      containerBases.set(container, base);
+    }
+    Object.keys(CONTAINER_PADDING_SIDES).forEach((side) => {
+      const property = CONTAINER_PADDING_SIDES[side];
+      const isBlock = side === "top" || side === "bottom";
+      if (insets[side] > 0 && (vertical || !isBlock)) {
+        declarations[property] = `${base[property] + insets[side]}px`;
+      }
+    });
+  } catch (error) {
+    console.error("Scroll Padding: Error reading container scroll padding", error);
+  }
+  return declarations;
+}
+
+/**
+ * Keep focus and scrollIntoView() scrolling of the page clear of frozen rows stuck to the
+ * viewport edges
+ * The padding goes into a generated stylesheet rather than the root's style attribute, so
+ * the page's inline styles stay untouched. Each edge gets the larger of the page's own
+ * padding and the controller offset, plus the stuck rows; the page's padding is read
+ * before the stylesheet exists
+ * @param {HTMLElement} root - Scroll root element (document.documentElement for the window)
+ * @param {{top: number, bottom: number}} offsets - Sticky offset and bottom offset in pixels
+ * @param {{top: number, bottom: number}} stuck - Height of the rows stuck to each edge in pixels
+ */
+export function setRootScrollPadding(root, offsets, stuck) {
+  try {
+    let state = rootSheets.get(root);
+    if (!state) {
+      const padding = readScrollPadding(root, ["scroll-padding-top", "scroll-padding-bottom"]);
+      state = {
+        entry: createFreezeSheet(root.getRootNode(), "scroll-root"),
+        base: { top: padding["scroll-padding-top"], bottom: padding["scroll-padding-bottom"] },
+      };
+      rootSheets.set(root, state);
+      root.setAttribute(SCROLL_ROOT_ATTRIBUTE, "");
+    }
+    const top = Math.max(state.base.top, offsets.top) + stuck.top;
+    const bottom = Math.max(state.base.bottom, offsets.bottom) + stuck.bottom;
+    setFreezeSheetText(
+      state.entry,
+      `[${SCROLL_ROOT_ATTRIBUTE}] { scroll-padding-top: ${top}px; scroll-padding-bottom: ${bottom}px; }`
+    );
+  } catch (error) {
+    console.error("Scroll Padding: Error setting root scroll padding", error);
+  }
+}
+
+/**
+ * Hand the scroll root back to the page's own scroll padding
+ * @param {HTMLElement} root - Scroll root element
+ */
+export function clearRootScrollPadding(root) {
+  try {
+    const state = rootSheets.get(root);
+    if (!state) return;
+    removeFreezeSheet(state.entry);
+    root.removeAttribute(SCROLL_ROOT_ATTRIBUTE);
+    rootSheets.delete(root);
+  } catch (error) {
+    console.error("Scroll Padding: Error clearing root scroll padding", error);
+  }
+}
+
+/**
+ * Get how far to scroll so a range lies inside a visible band
+ * A range larger than the band is aligned to the band start
+ * @param {number} start - Range start in pixels
+ * @param {number} end - Range end in pixels
+ * @param {number} bandStart - Visible band start in pixels
+ * @param {number} bandEnd - Visible band end in pixels
+ * @returns {number} - Scroll delta in pixels (0 when already visible)
+ */
+export function getRevealDelta(start, end, bandStart, bandEnd) {
+  if (start < bandStart) return start - bandStart;
+  if (end > bandEnd) return Math.min(end - bandEnd, start - bandStart);
+  return 0;
+}
+
+/**
+ * Check on which axes a cell stays inside the frozen area
+ * A spanning cell counts as frozen on an axis only if all of its columns (or rows) are frozen
+ * @param {{row: number, col: number, rowspan: number, colspan: number}} info - Cell position from getCellMatrix
+ * @param {{frozenColumns: number[], colFreezeEnd: number, rowFreeze: number, rowFreezeEnd: number}} config - Freeze configuration
+ * @param {number} colCount - Number of columns in the table
+ * @param {number} rowCount - Number of logical rows in the table
+ * @returns {{inline: boolean, block: boolean}} - True for an axis the cell never scrolls on
+ */
+export function getFrozenAxes(info, { frozenColumns, colFreezeEnd, rowFreeze, rowFreezeEnd }, colCount, rowCount) {
+  const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+  const endStartCol = colFreezeEnd > 0 ? Math.max(lastFrozenCol + 1, colCount - colFreezeEnd) : colCount;
+  const spannedCols = Array.from({ length: info.colspan }, (_, offset) => info.col + offset);
+  const inline = info.col >= endStartCol || spannedCols.every((col) => frozenColumns.includes(col));
+
+  const endStartRow = rowFreezeEnd > 0 ? Math.max(rowFreeze, rowCount - rowFreezeEnd) : rowCount;
+  const block = info.row + info.rowspan <= rowFreeze || info.row >= endStartRow;
+  return { inline, block };
+}
@@ -3,19 +3,63 @@
  * @module utils/span-helpers
  */
 
+import { getLogicalRows } from './dom-helpers.js';
+
+/**
+ * Cached cell matrices keyed by table
+ * @type {WeakMap<HTMLTableElement, Object>}
+ */
+const matrixCache = new WeakMap();
+
+/**
+ * Get the cell matrix for a table, building it only when no cached matrix exists
+ * The cache must be invalidated with invalidateCellMatrix() when rows, cells or
+ * span attributes change
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @returns {Object} - Object with rows, matrix, cellInfo, maxRow, maxCol
+ */
+export function getCellMatrix(table) {
+  const cached = matrixCache.get(table);
+  if (cached) return cached;
+
+  const matrixData = buildCellMatrix(table);
+  if (matrixData.maxRow > 0) {
+    matrixCache.set(table, matrixData);
+  }
+  return matrixData;
+}
+
+/**
+ * Drop the cached cell matrix of a table
+ * @param {HTMLTableElement} table - Table element
+ */
+export function invalidateCellMatrix(table) {
+  matrixCache.delete(table);
+}
+
 /**
  * Build a cell matrix that accounts for colspan and rowspan
  * This creates a 2D array where each position maps to the actual cell element
+ * Matrix rows follow the logical row model (getLogicalRows), which is returned as `rows`
  * 
  * @param {HTMLTableElement} table - Table element
- * @returns {Object} - Object with matrix, maxRow, maxCol
+ * @returns {Object} - Object with rows, matrix, cellInfo, maxRow, maxCol
  */
 export function buildCellMatrix(table) {
   const matrix = [];
   const cellInfo = new Map(); // Store cell -> {row, col, rowspan, colspan}
+  let rows = [];
   
   try {
-    const rows = Array.from(table.rows);
+    rows = getLogicalRows(table);
+    
+    // Last row index of each row's section: rowspan never crosses a row group
+    const sectionEnds = [];
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const sameSection = i + 1 < rows.length && rows[i + 1].parentElement === rows[i].parentElement;
+      sectionEnds[i] = sameSection ? sectionEnds[i + 1] : i;
+    }
     
     rows.forEach((row, rowIndex) => {
       if (!matrix[rowIndex]) {
@@ -29,8 +73,13 @@ export function buildCellMatrix(table) {
           colIndex++;
         }
         
-        const colspan = parseInt(cell.getAttribute('colspan') || '1', 10);
-        const rowspan = parseInt(cell.getAttribute('rowspan') || '1', 10);
+        const colspan = Math.max(1, parseInt(cell.getAttribute('colspan') || '1', 10) || 1);
+        const sectionRows = sectionEnds[rowIndex] - rowIndex + 1;
+        const rawRowspan = parseInt(cell.getAttribute('rowspan') || '1', 10);
+        // rowspan="0" spans to the end of the section
+        const rowspan = rawRowspan === 0
+          ? sectionRows
+          : Math.min(Math.max(1, rawRowspan || 1), sectionRows);
         
         // Store cell info
         cellInfo.set(cell, {
@@ -61,34 +110,143 @@ export function buildCellMatrix(table) {
     const maxRow = matrix.length;
     const maxCol = Math.max(...matrix.map(row => row ? row.length : 0));
     
-    return { matrix, cellInfo, maxRow, maxCol };
+    return { rows, matrix, cellInfo, maxRow, maxCol };
   } catch (error) {
     console.error("Span Helper: Error building cell matrix", error);
-    return { matrix: [], cellInfo: new Map(), maxRow: 0, maxCol: 0 };
+    return { rows, matrix: [], cellInfo: new Map(), maxRow: 0, maxCol: 0 };
   }
 }
 
+/**
+ * Normalize a column freeze spec into a sorted list of frozen column indexes
+ * A number N means the leading columns [0, N); an array lists explicit column indexes
+ * 
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
+ * @returns {number[]} - Sorted, unique column indexes
+ */
+export function toFrozenColumnList(colFreeze) {
+  if (Array.isArray(colFreeze)) {
+    return Array.from(new Set(colFreeze.filter((col) => Number.isInteger(col) && col >= 0)))
+      .sort((a, b) => a - b);
+  }
+  const count = Number(colFreeze) > 0 ? Math.floor(colFreeze) : 0;
+  return Array.from({ length: count }, (_, index) => index);
+}
+
+/**
+ * Get the columns frozen at the start: the leading colFreeze columns plus every column
+ * marked with data-freeze on a cell (e.g. a header cell) or on a <col> element
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} colFreeze - Number of leading columns to freeze
+ * @returns {number[]} - Sorted frozen column indexes in visual order
+ */
+export function getFrozenColumns(table, colFreeze) {
+  try {
+    const matrixData = getCellMatrix(table);
+    
+    // Marked columns only change with the markup, so keep them with the cached matrix
+    if (!matrixData.markedColumns) {
+      matrixData.markedColumns = getMarkedColumns(table, matrixData);
+    }
+    
+    const columns = new Set([...toFrozenColumnList(colFreeze), ...matrixData.markedColumns]);
+    return Array.from(columns).filter((col) => col < matrixData.maxCol).sort((a, b) => a - b);
+  } catch (error) {
+    console.error("Span Helper: Error getting frozen columns", error);
+    return toFrozenColumnList(colFreeze);
+  }
+}
+
+/**
+ * Get columns marked with data-freeze on a cell or on a <col> element
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} matrixData - Result from buildCellMatrix
+ * @returns {number[]} - Marked column indexes
+ */
+function getMarkedColumns(table, matrixData) {
+  const columns = new Set();
+  const isMarked = (el) => el.hasAttribute("data-freeze") && el.getAttribute("data-freeze") !== "false";
+  const { cellInfo } = matrixData;
+  
+  try {
+    // Marked cells freeze every column they span
+    cellInfo.forEach((info, cell) => {
+      if (!isMarked(cell)) return;
+      for (let c = info.col; c < info.col + info.colspan; c++) {
+        columns.add(c);
+      }
+    });
+    
+    getColumnElements(table).forEach(({ element, col, span }) => {
+      if (!isMarked(element)) return;
+      for (let c = col; c < col + span; c++) {
+        columns.add(c);
+      }
+    });
+  } catch (error) {
+    console.error("Span Helper: Error getting marked columns", error);
+  }
+  
+  return Array.from(columns);
+}
+
+/**
+ * Get the <col> elements of a table with the column index each one starts at
+ * Only this table's own colgroups are read (not those of nested tables); a colgroup
+ * without <col> children is listed itself with its span
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @returns {Array<{element: HTMLElement, col: number, span: number}>} - Column elements in order
+ */
+export function getColumnElements(table) {
+  const columnElements = [];
+  const getSpan = (el) => Math.max(1, parseInt(el.getAttribute("span") || "1", 10) || 1);
+  
+  try {
+    let colIndex = 0;
+    Array.from(table.children)
+      .filter((child) => child.tagName === "COLGROUP")
+      .forEach((colgroup) => {
+        const cols = Array.from(colgroup.children).filter((child) => child.tagName === "COL");
+        if (cols.length === 0) {
+          const span = getSpan(colgroup);
+          columnElements.push({ element: colgroup, col: colIndex, span });
+          colIndex += span;
+          return;
+        }
+        cols.forEach((col) => {
+          const span = getSpan(col);
+          columnElements.push({ element: col, col: colIndex, span });
+          colIndex += span;
+        });
+      });
+  } catch (error) {
+    console.error("Span Helper: Error getting column elements", error);
+  }
+  
+  return columnElements;
+}
+
 /**
  * Get all cells that should be frozen for columns considering colspan
- * A cell is frozen if its starting column is within freeze range OR it spans into the freeze range
+ * A cell is frozen if its starting column is a frozen column (it may span into unfrozen ones)
  * 
  * @param {Object} matrixData - Result from buildCellMatrix
- * @param {number} colFreeze - Number of columns to freeze
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
  * @returns {Set} - Set of cells that should have freeze-col class
  */
 export function getCellsForColumnFreeze(matrixData, colFreeze) {
-  const { matrix, cellInfo } = matrixData;
+  const { cellInfo } = matrixData;
   const frozenCells = new Set();
   
   try {
-    if (colFreeze <= 0) return frozenCells;
+    const frozenColumns = new Set(toFrozenColumnList(colFreeze));
+    if (frozenColumns.size === 0) return frozenCells;
     
     cellInfo.forEach((info, cell) => {
-      const { col, colspan } = info;
-      const cellEndCol = col + colspan - 1;
-      
-      // Cell should be frozen if it starts before freeze boundary OR spans into it
-      if (col < colFreeze || (col < colFreeze && cellEndCol >= colFreeze)) {
+      if (frozenColumns.has(info.col)) {
         frozenCells.add(cell);
       }
     });
@@ -99,47 +257,82 @@ export function getCellsForColumnFreeze(matrixData, colFreeze) {
   return frozenCells;
 }
 
+/**
+ * Get the first column index of the end (right edge) freeze zone
+ * The end zone always starts after the last column frozen at the start
+ * 
+ * @param {Object} matrixData - Result from buildCellMatrix
+ * @param {number} colFreezeEnd - Number of trailing columns to freeze
+ * @param {number|number[]} [colFreeze=0] - Number of leading columns or frozen column indexes
+ * @returns {number} - First column index of the end zone (0-based), or -1 if nothing is frozen
+ */
+export function getColumnEndBoundaryIndex(matrixData, colFreezeEnd, colFreeze = 0) {
+  const { maxCol } = matrixData;
+  if (colFreezeEnd <= 0 || maxCol === 0) return -1;
+
+  const frozenColumns = toFrozenColumnList(colFreeze);
+  const minStartCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] + 1 : 0;
+  const startCol = Math.max(minStartCol, maxCol - colFreezeEnd);
+  return startCol < maxCol ? startCol : -1;
+}
+
+/**
+ * Get all cells that should be frozen at the end (right edge) considering colspan
+ * A cell is frozen if it ends inside the end zone and starts after the last leading frozen column
+ * 
+ * @param {Object} matrixData - Result from buildCellMatrix
+ * @param {number} colFreezeEnd - Number of trailing columns to freeze
+ * @param {number|number[]} [colFreeze=0] - Number of leading columns or frozen column indexes
+ * @returns {Set} - Set of cells that should have freeze-col-end class
+ */
+export function getCellsForColumnFreezeEnd(matrixData, colFreezeEnd, colFreeze = 0) {
+  const { cellInfo } = matrixData;
+  const frozenCells = new Set();
+  
+  try {
+    const startCol = getColumnEndBoundaryIndex(matrixData, colFreezeEnd, colFreeze);
+    if (startCol === -1) return frozenCells;
+    
+    const frozenColumns = toFrozenColumnList(colFreeze);
+    const lastFrozenCol = frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
+    
+    cellInfo.forEach((info, cell) => {
+      const cellEndCol = info.col + info.colspan - 1;
+      if (info.col > lastFrozenCol && cellEndCol >= startCol) {
+        frozenCells.add(cell);
+      }
+    });
+  } catch (error) {
+    console.error("Span Helper: Error getting end column freeze cells", error);
+  }
+  
+  return frozenCells;
+}
+
 /**
  * Get all cells that should be frozen for rows considering rowspan
- * For header rows: always freeze
- * For body rows: freeze if within rowFreeze count considering rowspan
+ * Rows are counted in the logical row model, so header rows and every body
+ * group share one index space; a cell is frozen when it starts in the first rowFreeze rows
  * 
  * @param {HTMLTableElement} table - Table element
  * @param {Object} matrixData - Result from buildCellMatrix
- * @param {number} rowFreeze - Number of body rows to freeze
+ * @param {number} rowFreeze - Number of rows to freeze
  * @returns {Set} - Set of cells that should have freeze-row class
  */
 export function getCellsForRowFreeze(table, matrixData, rowFreeze) {
-  const { cellInfo } = matrixData;
+  const { rows, cellInfo } = matrixData;
   const frozenCells = new Set();
   
   try {
-    const allRows = [];
-    if (table.tHead) {
-      allRows.push(...Array.from(table.tHead.rows));
-    }
-    const tbody = table.tBodies[0];
-    if (tbody) {
-      allRows.push(...Array.from(tbody.rows));
-    }
+    if (rowFreeze <= 0) return frozenCells;
     
-    // Freeze first N rows (as specified by rowFreeze attribute)
-    if (rowFreeze > 0 && allRows.length > 0) {
-      for (let rowIndex = 0; rowIndex < Math.min(rowFreeze, allRows.length); rowIndex++) {
-        const row = allRows[rowIndex];
-        Array.from(row.cells).forEach(cell => {
-          const info = cellInfo.get(cell);
-          if (!info) return;
-          
-          const cellEndRow = rowIndex + info.rowspan - 1;
-          
-          // Freeze if cell starts within freeze zone OR spans into it
-          if (rowIndex < rowFreeze || cellEndRow < rowFreeze) {
-            frozenCells.add(cell);
-          }
-        });
-      }
-    }
+    rows.slice(0, rowFreeze).forEach((row) => {
+      Array.from(row.cells).forEach((cell) => {
+        if (cellInfo.has(cell)) {
+          frozenCells.add(cell);
+        }
+      });
+    });
   } catch (error) {
     console.error("Span Helper: Error getting row freeze cells", error);
   }
@@ -149,33 +342,20 @@ export function getCellsForRowFreeze(table, matrixData, rowFreeze) {
 
 /**
  * Get the last column index that should have boundary marker
- * Considers colspan - boundary is at the last column touched by freeze zone
+ * The boundary is the last frozen column; cells covering it get the marker
  * 
  * @param {Object} matrixData - Result from buildCellMatrix
- * @param {number} colFreeze - Number of columns to freeze
+ * @param {number|number[]} colFreeze - Number of leading columns or frozen column indexes
  * @returns {number} - Column index for boundary (0-based)
  */
 export function getColumnBoundaryIndex(matrixData, colFreeze) {
-  const { cellInfo } = matrixData;
-  let maxBoundaryCol = colFreeze - 1;
-  
   try {
-    if (colFreeze <= 0) return -1;
-    
-    cellInfo.forEach((info, cell) => {
-      const { col, colspan } = info;
-      
-      // If cell starts in freeze zone, check its end position
-      if (col < colFreeze) {
-        const cellEndCol = col + colspan - 1;
-        maxBoundaryCol = Math.max(maxBoundaryCol, Math.min(cellEndCol, colFreeze - 1));
-      }
-    });
+    const frozenColumns = toFrozenColumnList(colFreeze).filter((col) => col < matrixData.maxCol);
+    return frozenColumns.length > 0 ? frozenColumns[frozenColumns.length - 1] : -1;
   } catch (error) {
     console.error("Span Helper: Error getting column boundary", error);
+    return -1;
   }
-  
-  return maxBoundaryCol;
 }
 
 /**
@@ -184,38 +364,85 @@ export function getColumnBoundaryIndex(matrixData, colFreeze) {
  * 
  * @param {HTMLTableElement} table - Table element
  * @param {Object} matrixData - Result from buildCellMatrix
- * @param {number} rowFreeze - Number of body rows to freeze
- * @returns {number} - Row index for boundary (0-based, relative to tbody)
+ * @param {number} rowFreeze - Number of rows to freeze
+ * @returns {number} - Row index for boundary (0-based, logical row index)
  */
 export function getRowBoundaryIndex(table, matrixData, rowFreeze) {
-  const { cellInfo } = matrixData;
-  let maxBoundaryRow = rowFreeze - 1;
+  const { rows, cellInfo } = matrixData;
   
   try {
-    if (rowFreeze <= 0) return -1;
+    if (rowFreeze <= 0 || rows.length === 0) return -1;
     
-    const tbody = table.tBodies[0];
-    if (!tbody) return -1;
+    const lastFrozenRow = Math.min(rowFreeze, rows.length) - 1;
+    let maxBoundaryRow = lastFrozenRow;
     
-    const bodyRows = Array.from(tbody.rows);
+    // Cells starting in the freeze zone extend the boundary up to its last row
+    cellInfo.forEach((info) => {
+      if (info.row <= lastFrozenRow) {
+        const cellEndRow = info.row + info.rowspan - 1;
+        maxBoundaryRow = Math.max(maxBoundaryRow, Math.min(cellEndRow, lastFrozenRow));
+      }
+    });
+    return maxBoundaryRow;
+  } catch (error) {
+    console.error("Span Helper: Error getting row boundary", error);
+    return rowFreeze - 1;
+  }
+}
+
+/**
+ * Get the first row index of the end (bottom) freeze zone
+ * Rows are counted from the bottom of the logical row model, so tfoot rows are frozen first
+ * The end zone never overlaps rows already frozen at the top
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @param {number} rowFreezeEnd - Number of trailing rows to freeze
+ * @param {number} [rowFreeze=0] - Number of leading rows to freeze
+ * @returns {number} - First row index of the end zone (0-based, matrix index), or -1 if nothing is frozen
+ */
+export function getRowEndBoundaryIndex(table, rowFreezeEnd, rowFreeze = 0) {
+  try {
+    const rowCount = getCellMatrix(table).rows.length;
+    if (rowFreezeEnd <= 0 || rowCount === 0) return -1;
+
+    const startRow = Math.max(rowFreeze, rowCount - rowFreezeEnd);
+    return startRow < rowCount ? startRow : -1;
+  } catch (error) {
+    console.error("Span Helper: Error getting end row boundary", error);
+    return -1;
+  }
+}
+
+/**
+ * Get all cells that should be frozen at the bottom considering rowspan
+ * A cell is frozen if it covers a row of the end zone and does not start in the leading freeze zone
+ * 
+ * @param {HTMLTableElement} table - Table element
+ * @param {Object} matrixData - Result from buildCellMatrix
+ * @param {number} rowFreezeEnd - Number of trailing rows to freeze
+ * @param {number} [rowFreeze=0] - Number of leading rows to freeze
+ * @returns {Set} - Set of cells that should have freeze-row-end class
+ */
+export function getCellsForRowFreezeEnd(table, matrixData, rowFreezeEnd, rowFreeze = 0) {
+  const { rows, matrix, cellInfo } = matrixData;
+  const frozenCells = new Set();
+  
+  try {
+    const startRow = getRowEndBoundaryIndex(table, rowFreezeEnd, rowFreeze);
+    if (startRow === -1) return frozenCells;
     
-    bodyRows.forEach((row, rowIndex) => {
-      Array.from(row.cells).forEach(cell => {
+    // Walk the matrix rows of the zone so rowspan cells from above are included
+    for (let rowIndex = startRow; rowIndex < rows.length; rowIndex++) {
+      (matrix[rowIndex] || []).forEach((cell) => {
         const info = cellInfo.get(cell);
-        if (!info) return;
-        
-        const tbodyRowIndex = rowIndex;
-        
-        // If cell starts in freeze zone, check its end position
-        if (tbodyRowIndex < rowFreeze) {
-          const cellEndRow = tbodyRowIndex + info.rowspan - 1;
-          maxBoundaryRow = Math.max(maxBoundaryRow, Math.min(cellEndRow, rowFreeze - 1));
+        if (info && info.row >= rowFreeze) {
+          frozenCells.add(cell);
         }
       });
-    });
+    }
   } catch (error) {
-    console.error("Span Helper: Error getting row boundary", error);
+    console.error("Span Helper: Error getting end row freeze cells", error);
   }
   
-  return maxBoundaryRow;
+  return frozenCells;
 }